@@ -18,11 +18,21 @@
  * © Copyright IBM Corp. 2016
  */
 
-var util = require('util');
-var Chain = require('./lib/Chain.js');
+var Client = require('./lib/Client.js');
 var utils = require('./lib/utils.js');
+var EncryptedKeyValueStore = require('./lib/EncryptedKeyValueStore.js');
+var decoder = require('./lib/decoder.js');
 
-var _chains = {};
+// The client behind the module-level chain functions
+var _client = new Client();
+
+/**
+ * Create a new client, which owns its own chains, key value store and crypto suite.
+ * @returns {Client} The new client
+ */
+module.exports.newClient = function() {
+    return new Client();
+}
 
 /**
  * Create a new chain.  If it already exists, throws an Error.
@@ -30,33 +40,60 @@ var _chains = {};
  * @returns
  */
 module.exports.newChain = function(name) {
-    var chain = _chains[name];
-    
-    if (chain) 
-    	throw new Error(util.format("Chain %s already exists", name));
-
-    chain = new Chain(name);
-
-    _chains[name] = chain;
-    return chain;
+    return _client.newChain(name);
 }
 
 /**
  * Get a chain.  If it doesn't yet exist and 'create' is true, create it.
  * @param {string} chainName The name of the chain to get or create.
  * @param {boolean} create If the chain doesn't already exist, specifies whether to create it.
- * @return {Chain} Returns the chain, or null if it doesn't exist and create is false.
+ * @return {Chain} Returns the chain, or undefined if it doesn't exist and create is false.
  */
 module.exports.getChain = function(chainName, create) {
-    var chain = _chains[chainName];
+    return _client.getChain(chainName, create);
+}
 
-    if (!chain && create) {
-        chain = newChain(chainName);
-    }
+/**
+ * Get the names of the chains created with newChain or getChain.
+ * @returns {string[]} The chain names
+ */
+module.exports.listChains = function() {
+    return _client.listChains();
+}
 
-    return chain;
+/**
+ * Remove a chain created with newChain or getChain.
+ * @param {string} chainName The name of the chain to remove.
+ * @returns {boolean} True if the chain was removed, false if it did not exist.
+ */
+module.exports.removeChain = function(chainName) {
+    return _client.removeChain(chainName);
 }
 
-module.exports.newKeyValueStore = function(path) {
-	return utils.newKeyValueStore(path);
-}
\ No newline at end of file
+/**
+ * Create a key value store.
+ * @param options Either the path of a file store, or an object of the form {type, path, ...},
+ * where type is "file", "memory", "sqlite" or the require() path of an alternative implementation.
+ * @returns {KeyValueStore} The key value store
+ */
+module.exports.newKeyValueStore = function(options) {
+	return utils.newKeyValueStore(options);
+}
+
+/**
+ * Create a key value store that encrypts the values it keeps in another key value store.
+ * @param {KeyValueStore} store The store in which the encrypted values are kept
+ * @param {Object} options Either {passphrase: string} or {key: Buffer}, where key is a 32 byte master key
+ * @returns {KeyValueStore} The encrypting key value store
+ */
+module.exports.newEncryptedKeyValueStore = function(store, options) {
+	return new EncryptedKeyValueStore(store, options);
+}
+
+module.exports.decodeBlock = function(block, member) {
+	return decoder.decodeBlock(block, member);
+}
+
+module.exports.decodeTransaction = function(tx, member) {
+	return decoder.decodeTransaction(tx, member);
+}
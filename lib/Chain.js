@@ -11,6 +11,11 @@ var net = require('net');
 var util = require('util');
 var MemberServices = require('./MemberServices.js');
 var Member = require('./Member.js');
+var Peer = require('./Peer.js');
+var EventHub = require('./EventHub.js');
+var decoder = require('./decoder.js');
+var X509Certificate = require('./X509Certificate.js');
+var config = require('./config.js');
 
 /**
  * The class representing a chain with which the client SDK interacts.
@@ -18,7 +23,7 @@ var Member = require('./Member.js');
  * @class Chain
  * @memberof module:Chain
  */
-module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
+var Chain = module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
 
     // Name of the chain is only meaningful to the client
     _name: "",
@@ -51,21 +56,33 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
     // If in prefetch mode, we prefetch tcerts from member services to help performance
     _preFetchMode: true,
 
-    // Temporary variables to control how long to wait for deploy and invoke to complete before
-    // emitting events.  This will be removed when the SDK is able to receive events from the
+    // How long to wait for a deploy or invoke transaction to be committed before
+    // emitting a timeout error
     _deployWaitTime: 20,
     _invokeWaitTime: 5,
 
+    // The event hub through which ledger events from a peer are received
+    _eventHub: null, // EventHub
+
+    // The crypto suite implementation, of which cryptoPrimitives is an instance
+    _cryptoSuite: null, // CryptoSuite class
+
     // The crypto primitives object
-    cryptoPrimitives: utils.getCryptoSuite(),
+    cryptoPrimitives: null,
 
     /**
      * @param {string} name to identify different chain instances. The naming of chain instances
      * is completely at the client application's discretion.
+     * @param CryptoSuite The crypto suite implementation to use.  Defaults to the one selected
+     * by the CRYPTO_SUITE environment variable, or CryptoSuite_ECDSA_SHA.
      */
-    constructor: function(name) {
+    constructor: function(name, CryptoSuite) {
         this._name = name;
+        this._peers = [];
         this._members = {};
+        this._eventHub = new EventHub(this);
+        this._cryptoSuite = CryptoSuite || utils.getCryptoSuite();
+        this.cryptoPrimitives = new this._cryptoSuite();
     },
 
     /**
@@ -82,10 +99,12 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
      * @param {string} url The grpc url for the peer. Can be "grpc://host:port" or "grpcs://host:port". 
      * If using "grpcs", then the pem parameter must also be specified.
      * @param {string} pem String value of the TLS certificate for the local client
+     * @param {Object} opts The endpoint options, such as the client key and certificate for
+     * mutual TLS and the maximum message sizes, as described by utils.Endpoint
      * @returns [Peer]{@link module:api.Peer} Returns a new peer.
      */
-    addPeer: function(url, pem) {
-        var peer = new Peer(url, this, pem);
+    addPeer: function(url, pem, opts) {
+        var peer = new Peer(url, this, pem, opts);
         this._peers.push(peer);
         return peer;
     },
@@ -98,6 +117,35 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
         return this._peers;
     },
 
+    /**
+     * Connect to the event source of a peer, to receive block, chaincode and rejection events.
+     * The event hub must be connected to deploy and invoke, as their commit is confirmed through it.
+     *
+     * @param {string} url The grpc url of the peer event source. Can be "grpc://host:port" or "grpcs://host:port".
+     * If using "grpcs", then the pem parameter must also be specified.
+     * @param {string} pem String value of the TLS certificate for the local client
+     * @param {Object} opts The endpoint options, as described by utils.Endpoint
+     */
+    eventHubConnect: function(url, pem, opts) {
+        this._eventHub.setPeerAddr(url, pem, opts);
+        this._eventHub.connect();
+    },
+
+    /**
+     * Disconnect from the peer event source.
+     */
+    eventHubDisconnect: function() {
+        this._eventHub.disconnect();
+    },
+
+    /**
+     * Get the event hub of this chain.
+     * @returns [EventHub]{@link module:EventHub.EventHub} The event hub, which emits 'block', 'chaincode' and 'rejection' events.
+     */
+    getEventHub: function() {
+        return this._eventHub;
+    },
+
     /**
      * Get the member whose credentials are used to register and enroll other users, or undefined if not set.
      * @returns [Member]{@link module:api.Member} The member whose credentials are used to perform registration, or undefined if not set.
@@ -118,9 +166,11 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
      * Set the member services URL
      * @param {string} url Member services URL of the form: "grpc://host:port" or "grpcs://host:port"
      * @param {string} pem String value of the TLS certificate for the local client
+     * @param {Object} opts The endpoint options, as described by utils.Endpoint, and the pinned
+     * caCertificates, as described by the MemberServices constructor
      */
-    setMemberServicesUrl: function(url, pem) {
-        this.setMemberServices(new MemberServices(url, pem));
+    setMemberServicesUrl: function(url, pem, opts) {
+        this.setMemberServices(new MemberServices(url, pem, this._cryptoSuite, opts));
     },
 
     /**
@@ -139,6 +189,7 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
         this._memberServices = memberServices;
         if (memberServices instanceof MemberServices) {
             this.cryptoPrimitives = memberServices.getCrypto();
+            memberServices.setKeyValueStore(this._keyValStore);
         }
     },
 
@@ -178,7 +229,8 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
     },
 
     /**
-     * Get the deploy wait time in seconds.
+     * Get the deploy wait time in seconds, which is how long to wait for a deploy
+     * transaction to be committed before reporting a timeout.
      */
     getDeployWaitTime: function() {
         return this._deployWaitTime;
@@ -198,7 +250,8 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
     },
 
     /**
-     * Get the invoke wait time in seconds.
+     * Get the invoke wait time in seconds, which is how long to wait for an invoke
+     * transaction to be committed before reporting a timeout.
      */
     getInvokeWaitTime: function() {
         return this._invokeWaitTime;
@@ -221,10 +274,14 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
     },
 
     /**
-     * Set the key value store implementation.
+     * Set the key value store implementation.  The default member services also keep the
+     * certificates of the certificate authorities in it.
      */
     setKeyValueStore: function(keyValStore) {
         this._keyValStore = keyValStore;
+        if (this._memberServices instanceof MemberServices) {
+            this._memberServices.setKeyValueStore(keyValStore);
+        }
     },
 
     /**
@@ -283,6 +340,162 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
         return this.getMember(name);
     },
 
+    /**
+     * Remove a member from this chain and delete its state, including its private keys,
+     * from the key value store.  The member is not revoked by the member services.
+     * @param {string} name The name of the member
+     * @returns Promise for true if the state of the member was deleted, or false if none was stored
+     */
+    removeMember: function(name) {
+        var self = this;
+
+        if (!self._keyValStore) {
+            return Promise.reject(new Error("No key value store was found.  You must first call Chain.configureKeyValueStore or Chain.setKeyValueStore"));
+        }
+
+        var member = self._members[name] || new Member(name, self);
+        delete self._members[name];
+
+        return member.deleteState();
+    },
+
+    /**
+     * Revoke the ECert of a member, as the registrar of this chain, and mark the state of the
+     * member as revoked if it is kept in the key value store.
+     * @param {string} name The name of the member
+     * @returns Promise for a "true" value on completion
+     */
+    revokeMember: function(name) {
+        var self = this;
+
+        if (!self._memberServices) {
+            return Promise.reject(new Error("No member services was found.  You must first call Chain.configureMemberServices or Chain.setMemberServices"));
+        }
+
+        return self._memberServices.revokeECertAsAdmin(name, self.getRegistrar())
+        .then(
+            function() {
+                if (!self._keyValStore) {
+                    return true;
+                }
+                return self._getMemberHelper(name)
+                .then(
+                    function(member) {
+                        // Do not save a state for a member unknown to this client
+                        if (!member.isEnrolled() && !member.isRegistered()) {
+                            return true;
+                        }
+                        return member.markRevoked();
+                    }
+                );
+            }
+        );
+    },
+
+    /**
+     * Remove the TCerts matching a predicate from the TCerts kept by the members of this
+     * chain.  The member services calls it when a TCert is revoked by an administrator.
+     * @param {function(TCert)} match The predicate, true for the TCerts to remove
+     */
+    removeTCerts: function(match) {
+        var self = this;
+
+        Object.keys(self._members).forEach(function(name) {
+            self._members[name].removeTCerts(match);
+        });
+    },
+
+    /**
+     * List the names of the members whose state is kept in the key value store.
+     * @returns Promise for the array of member names
+     */
+    listStoredMembers: function() {
+        var self = this;
+
+        if (!self._keyValStore) {
+            return Promise.reject(new Error("No key value store was found.  You must first call Chain.configureKeyValueStore or Chain.setKeyValueStore"));
+        }
+
+        return self._keyValStore.listKeys(Member.MEMBER_KEY_PREFIX)
+        .then(
+            function(keys) {
+                return keys.map(function(key) {
+                    return key.substr(Member.MEMBER_KEY_PREFIX.length);
+                });
+            }
+        );
+    },
+
+    /**
+     * Restore an enrolled member from an identity exported by Member.exportIdentity, and save
+     * its state in the key value store.  The enrollment of a member of the same name is replaced.
+     * @param {string} name The name of the member
+     * @param {Object} bundle The identity, of the form {format: 'pem', key, cert, chainKey}, where
+     * key is a PKCS#8 private key
+     * @param {string} passphrase Optional. The passphrase given to Member.exportIdentity, which
+     * always encrypts the private key.  It may be omitted for an identity produced by other tools
+     * with an unencrypted PKCS#8 private key, and is ignored in that case
+     * @returns Promise for the Member, rejected with an Error named "WrongPassphrase" if the
+     * private key is encrypted and cannot be decrypted, or no passphrase is given
+     */
+    importIdentity: function(name, bundle, passphrase) {
+        var self = this;
+
+        if (!self._keyValStore) {
+            return Promise.reject(new Error("No key value store was found.  You must first call Chain.configureKeyValueStore or Chain.setKeyValueStore"));
+        }
+
+        var enrollment;
+        try {
+            enrollment = self._identityToEnrollment(bundle, passphrase);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+
+        return self._getMemberHelper(name)
+        .then(
+            function(member) {
+                if (bundle.roles) member.setRoles(bundle.roles);
+                if (bundle.affiliation) member.setAffiliation(bundle.affiliation);
+
+                return member.setEnrollment(enrollment)
+                .then(
+                    function() {
+                        return member;
+                    }
+                );
+            }
+        );
+    },
+
+    // Convert an exported identity into an enrollment, checking that the private key is the
+    // one of the ECert
+    _identityToEnrollment: function(bundle, passphrase) {
+        if (!bundle || bundle.format !== 'pem') {
+            throw new Error("The identity must be a bundle of format 'pem', as returned by Member.exportIdentity");
+        }
+        ['key', 'cert', 'chainKey'].forEach(function(field) {
+            if (typeof bundle[field] !== 'string') {
+                throw new Error(util.format("The identity has no %s", field));
+            }
+        });
+
+        var key = this.cryptoPrimitives.ecdsaPrivateKeyFromPKCS8PEM(bundle.key, passphrase);
+        var cert = utils.fromPEM(bundle.cert, 'CERTIFICATE');
+        var publicKey = this.cryptoPrimitives.ecdsaKeyFromPrivate(key, 'hex').getPublic('hex');
+        if (new X509Certificate(cert).publicKey().toString('hex') !== publicKey) {
+            throw new Error("The private key of the identity does not match its certificate");
+        }
+        // Check that the chain key can be used
+        this.cryptoPrimitives.ecdsaPEMToPublicKey(new Buffer(bundle.chainKey).toString('hex'));
+
+        return {
+            key: key,
+            cert: cert.toString('hex'),
+            chainKey: new Buffer(bundle.chainKey).toString('hex')
+        };
+    },
+
     // Try to get the member from cache.
     // If not found, create a new one.
     // If member is found in the key value store,
@@ -405,46 +618,255 @@ module.exports = api.Chain.extend(/** @lends module:Chain.Chain.prototype */{
         });
     },
 
+    /**
+     * Get information about the blockchain ledger from a peer.
+     * @returns Promise for an object of the form {height, currentBlockHash, previousBlockHash},
+     * where height is a number.
+     */
+    getBlockchainInfo: function() {
+        return this._getAvailablePeer()
+        .then(
+            function(peer) {
+                return peer.getBlockchainInfo();
+            }
+        );
+    },
+
+    /**
+     * Get a block of the blockchain ledger from a peer.
+     * @param {number} number The number of the block.  The genesis block is block zero.
+     * @returns Promise for the Block, including its transactions
+     */
+    getBlock: function(number) {
+        return this._getAvailablePeer()
+        .then(
+            function(peer) {
+                return peer.getBlockByNumber(number);
+            }
+        );
+    },
+
+    /**
+     * Get the number of blocks in the blockchain ledger from a peer.
+     * @returns Promise for the block count as a number
+     */
+    getBlockCount: function() {
+        return this._getAvailablePeer()
+        .then(
+            function(peer) {
+                return peer.getBlockCount();
+            }
+        );
+    },
+
+    /**
+     * Get the peer nodes of the network, as seen by one of the peers of this chain.
+     * @returns Promise for an array of PeerEndpoint objects of the form {ID: {name}, address, type, pkiID}
+     */
+    getNetworkPeers: function() {
+        return this._getAvailablePeer()
+        .then(
+            function(peer) {
+                return peer.getNetworkPeers();
+            }
+        );
+    },
+
+    /**
+     * Verify that a range of blocks forms an unbroken hash chain.  The hash of each block
+     * is recomputed the way the peer computes it, that is without its nonHashData, and
+     * compared with the previousBlockHash of the next block.  If the range ends with the
+     * last block of the ledger, its hash is also compared with the currentBlockHash of the
+     * blockchain info.  All blocks are read from the same peer.
+     * @param {number} from The number of the first block of the range
+     * @param {number} to The number of the last block of the range
+     * @returns Promise for a report of the form {verified, from, to, mismatch}.  If verified is
+     * false, mismatch describes the first broken link as {blockNumber, field, expected, actual},
+     * where field is 'previousBlockHash' or 'currentBlockHash' and the hashes are hex strings.
+     */
+    verifyBlockRange: function(from, to) {
+        var self = this;
+
+        if (!isBlockNumber(from) || !isBlockNumber(to) || from > to) {
+            return Promise.reject(new Error(util.format("Invalid block range [%s, %s]", from, to)));
+        }
+
+        var peer;
+        var info;
+        var report = {verified: true, from: from, to: to};
+
+        var mismatch = function(blockNumber, field, expected, actual) {
+            report.verified = false;
+            report.mismatch = {
+                blockNumber: blockNumber,
+                field: field,
+                expected: expected.toString('hex'),
+                actual: actual.toString('hex')
+            };
+            return report;
+        };
+
+        // Read the blocks one at a time, checking each link to the hash of the block before
+        var verifyFrom = function(number, prevHash) {
+            if (number > to) {
+                if (to === info.height - 1 && !prevHash.equals(info.currentBlockHash)) {
+                    return mismatch(to, 'currentBlockHash', prevHash, info.currentBlockHash);
+                }
+                return report;
+            }
+
+            return peer.getBlockByNumber(number)
+            .then(
+                function(block) {
+                    if (number > from && !prevHash.equals(block.previousBlockHash)) {
+                        return mismatch(number, 'previousBlockHash', prevHash, block.previousBlockHash);
+                    }
+                    return verifyFrom(number + 1, decoder.computeBlockHash(block));
+                }
+            );
+        };
+
+        return self._getAvailablePeer()
+        .then(
+            function(p) {
+                peer = p;
+                return peer.getBlockchainInfo();
+            }
+        ).then(
+            function(i) {
+                info = i;
+                if (to >= info.height) {
+                    throw new Error(util.format("Block %d is beyond the last block %d of the ledger", to, info.height - 1));
+                }
+                return verifyFrom(from);
+            }
+        );
+    },
+
+    /**
+     * Verify the signature of a transaction with the public key of the TCert or ECert in its
+     * cert field, which identifies the signer.
+     * @param {Transaction} tx A transaction from a Block, or a transaction built by the SDK
+     * @returns {boolean} True if the signature is valid
+     */
+    verifyTransaction: function(tx) {
+        var certBytes = decoder.toBuffer(tx.cert);
+        var signature = decoder.toBuffer(tx.signature);
+        if (certBytes.length === 0 || signature.length === 0) {
+            throw new Error(util.format("Transaction %s is not signed", tx.txid));
+        }
+
+        var cert = new X509Certificate(certBytes);
+        return this.cryptoPrimitives.ecdsaVerify(cert.publicKey(), signature, decoder.getSignedBytes(tx));
+    },
+
     /**
      * Send a transaction to a peer.
      * @param tx A transaction
      * @param eventEmitter An event emitter
      */
     sendTransaction(tx, eventEmitter) {
-        if (this._peers.length === 0) {
-            return eventEmitter.emit('error', new Error(util.format("chain %s has no peers", this.getName())));
-        }
+        this._getAvailablePeer()
+        .then(
+            function(peer) {
+                peer.sendTransaction(tx, eventEmitter);
+            },
+            function(err) {
+                eventEmitter.emit('error', err);
+            }
+        );
+    },
 
-        var peers = this._peers;
+    // Find the first peer that accepts a connection.  The peer found is moved
+    // to the front of the list so that it is tried first next time.
+    _getAvailablePeer: function() {
+        var self = this;
 
-        var trySendTransaction = (pidx) => {
-            if (pidx >= peers.length) {
-                eventEmitter.emit('error', new Error("None of " + peers.length + " peers reponding"));
-                return;
+        return new Promise(function(resolve, reject) {
+            if (self._peers.length === 0) {
+                return reject(new Error(util.format("chain %s has no peers", self.getName())));
             }
 
-            var p = urlParser.parse(peers[pidx].getUrl());
-            var client = new net.Socket();
-            
-            var tryNext = () => {
-                client.destroy();
-                trySendTransaction(pidx + 1);
-            }
+            var peers = self._peers;
 
-            client.on('timeout', tryNext);
-            client.on('error', tryNext);
-            
-            client.connect(p.port, p.hostname, () => {
-                if (pidx > 0 && peers === this._peers)
-                    this._peers = peers.slice(pidx).concat(peers.slice(0, pidx));
-
-                client.destroy();
-                
-                peers[pidx].sendTransaction(tx, eventEmitter);
-            });
-        }
+            var tryPeer = (pidx) => {
+                if (pidx >= peers.length) {
+                    var error = new Error("None of " + peers.length + " peers reponding");
+                    error.name = "TransportError";
+                    return reject(error);
+                }
+
+                var p = urlParser.parse(peers[pidx].getUrl());
+                var client = new net.Socket();
 
-        trySendTransaction(0);
+                var tryNext = () => {
+                    client.destroy();
+                    tryPeer(pidx + 1);
+                }
+
+                client.on('timeout', tryNext);
+                client.on('error', tryNext);
+
+                client.connect(p.port, p.hostname, () => {
+                    if (pidx > 0 && peers === self._peers)
+                        self._peers = peers.slice(pidx).concat(peers.slice(0, pidx));
+
+                    client.destroy();
+
+                    return resolve(peers[pidx]);
+                });
+            }
+
+            tryPeer(0);
+        });
     }
 });
 
+/**
+ * Build a fully configured chain from a network configuration file.  See lib/config.js
+ * for the format of the file.
+ * @param {string} configPath The path of the JSON or YAML configuration file
+ * @returns {Chain} The chain, with its peers, member services and key value store set
+ * @throws {Error} An Error with name "InvalidConfig" if the file does not match the schema
+ */
+Chain.fromConfig = function(configPath) {
+    var cfg = config.load(configPath);
+
+    var chain = new Chain(cfg.name);
+
+    cfg.peers.forEach(function(peer) {
+        chain.addPeer(peer.url, peer.pem, peer.options);
+    });
+
+    if (cfg.memberServices) {
+        var opts = cfg.memberServices.options;
+        if (cfg.memberServices.caCertificates) {
+            opts = Object.assign({caCertificates: cfg.memberServices.caCertificates}, opts);
+        }
+        chain.setMemberServicesUrl(cfg.memberServices.url, cfg.memberServices.pem, opts);
+    }
+    // The member services share their crypto primitives with the chain
+    var crypto = chain.cryptoPrimitives;
+    if (cfg.securityLevel !== undefined) crypto.setSecurityLevel(cfg.securityLevel);
+    if (cfg.hashAlgorithm !== undefined) crypto.setHashAlgorithm(cfg.hashAlgorithm);
+
+    chain.setKeyValueStore(utils.newKeyValueStore({
+        type: cfg.keyValueStore.type || 'file',
+        path: cfg.keyValueStore.path
+    }));
+
+    if (cfg.devMode !== undefined) chain.setDevMode(cfg.devMode);
+    if (cfg.tcertBatchSize !== undefined) chain.setTCertBatchSize(cfg.tcertBatchSize);
+    if (cfg.deployWaitTime !== undefined) chain.setDeployWaitTime(cfg.deployWaitTime);
+    if (cfg.invokeWaitTime !== undefined) chain.setInvokeWaitTime(cfg.invokeWaitTime);
+
+    if (cfg.eventHub) {
+        chain.eventHubConnect(cfg.eventHub.url, cfg.eventHub.pem, cfg.eventHub.options);
+    }
+
+    return chain;
+};
+
+function isBlockNumber(n) {
+    return Number.isInteger(n) && n >= 0;
+}
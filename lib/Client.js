@@ -0,0 +1,146 @@
+/**
+ * Copyright 2016 IBM
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * This module contains the implementation of the Client class, which owns a set of chains
+ * and the default configuration with which they are created.
+ *
+ * @module Client
+ */
+
+var Base = require('./base.js');
+var utils = require('./utils.js');
+var util = require('util');
+var Chain = require('./Chain.js');
+
+/**
+ * A client owns the chains it creates.  Chains are looked up by name within a client only,
+ * so that several clients in the same process, for example one per tenant, each have an
+ * isolated set of chains and configuration.
+ *
+ * @class Client
+ * @memberof module:Client
+ */
+var Client = Base.extend(/** @lends module:Client.Client.prototype */{
+
+    // The chains of this client
+    _chains: {}, // associated array of [name] <-> Chain
+
+    // The key-val store given to the chains created by this client, if any
+    _keyValStore: null, // KeyValueStore
+
+    // The crypto suite implementation used by the chains created by this client
+    _cryptoSuite: null, // CryptoSuite class
+
+    constructor: function() {
+        this._chains = {};
+        this._cryptoSuite = utils.getCryptoSuite();
+    },
+
+    /**
+     * Create a new chain.  If it already exists, throws an Error.
+     * @param {string} name Name of the chain.  It can be any name and has value only for the client.
+     * @returns {Chain} The new chain, configured with the default key value store and crypto suite of this client.
+     */
+    newChain: function(name) {
+        if (this._chains[name]) {
+            throw new Error(util.format("Chain %s already exists", name));
+        }
+
+        var chain = new Chain(name, this._cryptoSuite);
+        if (this._keyValStore) {
+            chain.setKeyValueStore(this._keyValStore);
+        }
+
+        this._chains[name] = chain;
+        return chain;
+    },
+
+    /**
+     * Get a chain.  If it doesn't yet exist and 'create' is true, create it.
+     * @param {string} name The name of the chain to get or create.
+     * @param {boolean} create If the chain doesn't already exist, specifies whether to create it.
+     * @returns {Chain} The chain, or undefined if it doesn't exist and create is false.
+     */
+    getChain: function(name, create) {
+        var chain = this._chains[name];
+
+        if (!chain && create) {
+            chain = this.newChain(name);
+        }
+
+        return chain;
+    },
+
+    /**
+     * Get the names of the chains of this client.
+     * @returns {string[]} The chain names
+     */
+    listChains: function() {
+        return Object.keys(this._chains);
+    },
+
+    /**
+     * Remove a chain from this client, disconnecting it from its event source.
+     * @param {string} name The name of the chain to remove.
+     * @returns {boolean} True if the chain was removed, false if it did not exist.
+     */
+    removeChain: function(name) {
+        var chain = this._chains[name];
+        if (!chain) return false;
+
+        chain.eventHubDisconnect();
+        delete this._chains[name];
+        return true;
+    },
+
+    /**
+     * Get the key value store given to the chains created by this client.
+     * @returns {KeyValueStore} The key value store, or null if not set.
+     */
+    getKeyValueStore: function() {
+        return this._keyValStore;
+    },
+
+    /**
+     * Set the key value store given to the chains created from now on by this client.
+     * Members with the same name on chains sharing a store also share their stored state.
+     * @param {KeyValueStore} keyValStore The key value store
+     */
+    setKeyValueStore: function(keyValStore) {
+        this._keyValStore = keyValStore;
+    },
+
+    /**
+     * Get the crypto suite implementation used by the chains created by this client.
+     * @returns The CryptoSuite class
+     */
+    getCryptoSuite: function() {
+        return this._cryptoSuite;
+    },
+
+    /**
+     * Set the crypto suite implementation used by the chains created from now on by this client.
+     * Each chain creates its own instance, so that its security level and hash algorithm can be
+     * set independently.
+     * @param CryptoSuite A class extending [CryptoSuite]{@link module:api.CryptoSuite}
+     */
+    setCryptoSuite: function(CryptoSuite) {
+        this._cryptoSuite = CryptoSuite;
+    }
+});
+
+module.exports = Client;
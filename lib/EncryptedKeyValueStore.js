@@ -0,0 +1,329 @@
+/**
+ * Copyright 2016 IBM
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+var api = require('./api.js');
+var crypto = require('crypto');
+var util = require('util');
+var debug = require('debug')('hfc');
+
+// The name under which the KDF parameters of the store are kept in the inner store
+const KDF_KEY_NAME = "_kdf";
+const KDF_ITERATIONS = 100000;
+const KDF_DIGEST = 'sha256';
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const CIPHER = 'aes-256-gcm';
+// A known value encrypted with the derived key, to tell a wrong passphrase from corrupted data
+const VERIFIER = "hfc-encrypted-key-value-store";
+
+/**
+ * A KeyValueStore that encrypts the values it stores in another KeyValueStore, for example
+ * a FileKeyValueStore, with AES-256-GCM.  The name of each value is authenticated with it,
+ * so that values cannot be swapped between names.
+ *
+ * The encryption key is either given as a master key or derived from a passphrase with
+ * PBKDF2, using a random salt kept in the inner store.  A wrong passphrase or master key
+ * is reported with an Error named "WrongPassphrase", and a value that fails authentication
+ * with an Error named "DecryptionFailed".
+ *
+ * The KDF parameters are kept in the inner store under the name "_kdf", which is reserved:
+ * getting, setting or deleting a value of that name is rejected with an Error named
+ * "ReservedName", and hasValue and listKeys do not report it.
+ *
+ * The inner store must keep versions (see FileKeyValueStore.setValue), which are used to
+ * create the KDF parameters only once when several processes open a new store concurrently.
+ *
+ * @class
+ */
+var EncryptedKeyValueStore = api.KeyValueStore.extend({
+
+    _store: null, // KeyValueStore
+    _passphrase: null, // string
+    _masterKey: null, // Buffer
+    _keyPromise: null, // Promise for the encryption key
+
+    /**
+     * @param {KeyValueStore} store The store in which the encrypted values are kept
+     * @param {Object} options Either {passphrase: string} or {key: Buffer}, where key is a 32 byte master key
+     */
+    constructor: function(store /*KeyValueStore*/, options) {
+        if (!store) {
+            throw new Error("An inner key value store is required");
+        }
+        options = options || {};
+        if (options.key) {
+            if (!Buffer.isBuffer(options.key) || options.key.length !== KEY_LENGTH) {
+                throw new Error(util.format("The master key must be a Buffer of %d bytes", KEY_LENGTH));
+            }
+            this._masterKey = options.key;
+        } else if (options.passphrase) {
+            this._passphrase = options.passphrase;
+        } else {
+            throw new Error("Either a passphrase or a master key is required");
+        }
+
+        this._store = store;
+    },
+
+    /**
+     * Get and decrypt the value associated with name.
+     * @param name
+     * @returns Promise for the value, or null if there is none
+     */
+    getValue: function(name /*string*/) {
+        var self = this;
+
+        if (name === KDF_KEY_NAME) return Promise.reject(newReservedNameError());
+
+        return self._getKey()
+        .then(
+            function(key) {
+                return self._store.getValue(name)
+                .then(
+                    function(stored) {
+                        if (stored === null || stored === undefined) return null;
+
+                        return decrypt(key, name, stored);
+                    }
+                );
+            }
+        );
+    },
+
+    /**
+     * Get and decrypt the value associated with name together with its version, if the inner
+     * store keeps versions.
+     * @param name
+     * @returns Promise for an object of the form {value, version}, where value is null and
+     * version is 0 if there is no value
+     */
+    getValueWithVersion: function(name /*string*/) {
+        var self = this;
+
+        if (name === KDF_KEY_NAME) return Promise.reject(newReservedNameError());
+
+        return self._getKey()
+        .then(
+            function(key) {
+                return self._store.getValueWithVersion(name)
+                .then(
+                    function(entry) {
+                        if (entry.value === null || entry.value === undefined) return {value: null, version: entry.version};
+
+                        return {value: decrypt(key, name, entry.value), version: entry.version};
+                    }
+                );
+            }
+        );
+    },
+
+    /**
+     * Encrypt and set the value associated with name.
+     * @param name
+     * @param value
+     * @param {number} expectedVersion If set, passed to the inner store to detect a concurrent update
+     * @returns Promise for a "true" value on successful completion
+     */
+    setValue: function(name /*string*/, value /*string*/, expectedVersion /*number*/) {
+        var self = this;
+
+        if (name === KDF_KEY_NAME) return Promise.reject(newReservedNameError());
+
+        return self._getKey()
+        .then(
+            function(key) {
+                return self._store.setValue(name, encrypt(key, name, value), expectedVersion);
+            }
+        );
+    },
+
+    /**
+     * Delete the value associated with name.
+     * @param name
+     * @returns Promise for true if the value was deleted, or false if there was none
+     */
+    deleteValue: function(name /*string*/) {
+        if (name === KDF_KEY_NAME) return Promise.reject(newReservedNameError());
+
+        return this._store.deleteValue(name);
+    },
+
+    /**
+     * List the names of the stored values, which are not encrypted.
+     * @param prefix If set, only the names starting with prefix are listed
+     * @returns Promise for the array of names
+     */
+    listKeys: function(prefix /*string*/) {
+        return this._store.listKeys(prefix)
+        .then(
+            function(names) {
+                return names.filter(function(name) {
+                    return name !== KDF_KEY_NAME;
+                });
+            }
+        );
+    },
+
+    /**
+     * Determine if a value is associated with name.
+     * @param name
+     * @returns Promise for true if a value is stored under name
+     */
+    hasValue: function(name /*string*/) {
+        if (name === KDF_KEY_NAME) return Promise.resolve(false);
+
+        return this._store.hasValue(name);
+    },
+
+    // Get the encryption key, deriving it and checking it against the verifier on first use
+    _getKey: function() {
+        var self = this;
+
+        if (!self._keyPromise) {
+            self._keyPromise = self._store.getValueWithVersion(KDF_KEY_NAME)
+            .then(
+                function(entry) {
+                    if (entry.value) {
+                        return self._checkKey(JSON.parse(entry.value));
+                    }
+                    return self._newKey(entry.version);
+                }
+            );
+            // Let a later call retry, for example after the inner store becomes available
+            self._keyPromise.catch(function() {
+                self._keyPromise = null;
+            });
+        }
+
+        return self._keyPromise;
+    },
+
+    // Derive the key with the stored KDF parameters and check it against the verifier
+    _checkKey: function(kdf) {
+        return this._deriveKey(new Buffer(kdf.salt, 'base64'), kdf.iterations)
+        .then(
+            function(key) {
+                try {
+                    decrypt(key, KDF_KEY_NAME, kdf.verifier);
+                } catch (err) {
+                    var error = new Error("Wrong passphrase or master key for the encrypted key value store");
+                    error.name = "WrongPassphrase";
+                    throw error;
+                }
+                return key;
+            }
+        );
+    },
+
+    // Create the KDF parameters and verifier of a new store.  They are only written if no
+    // other store created them in the meantime; otherwise the key is derived from theirs,
+    // so that all values are encrypted under the same salt.  The version is that of the
+    // missing KDF parameters in the inner store.
+    _newKey: function(version) {
+        var self = this;
+        var salt = crypto.randomBytes(SALT_LENGTH);
+
+        return self._deriveKey(salt, KDF_ITERATIONS)
+        .then(
+            function(key) {
+                debug("Initializing the encrypted key value store");
+                var kdf = {
+                    salt: salt.toString('base64'),
+                    iterations: KDF_ITERATIONS,
+                    verifier: encrypt(key, KDF_KEY_NAME, VERIFIER)
+                };
+                return self._store.setValue(KDF_KEY_NAME, JSON.stringify(kdf), version)
+                .then(
+                    function() {
+                        return key;
+                    },
+                    function(err) {
+                        if (err.name !== "VersionConflict") throw err;
+
+                        debug("The encrypted key value store was initialized concurrently");
+                        return self._store.getValue(KDF_KEY_NAME)
+                        .then(
+                            function(kdf) {
+                                return self._checkKey(JSON.parse(kdf));
+                            }
+                        );
+                    }
+                );
+            }
+        );
+    },
+
+    _deriveKey: function(salt, iterations) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (self._masterKey) {
+                // Bind the master key to the salt of the store
+                var hmac = crypto.createHmac(KDF_DIGEST, self._masterKey);
+                hmac.update(salt);
+                return resolve(hmac.digest());
+            }
+
+            crypto.pbkdf2(self._passphrase, salt, iterations, KEY_LENGTH, KDF_DIGEST, function(err, key) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(key);
+                }
+            });
+        });
+    }
+});
+
+function newReservedNameError() {
+    var error = new Error(util.format("The name %s is reserved for the KDF parameters of the encrypted key value store", KDF_KEY_NAME));
+    error.name = "ReservedName";
+    return error;
+}
+
+// Encrypt a value, authenticating its name, into a JSON string
+function encrypt(key, name, value) {
+    var iv = crypto.randomBytes(IV_LENGTH);
+    var cipher = crypto.createCipheriv(CIPHER, key, iv);
+    cipher.setAAD(new Buffer(name, 'utf8'));
+    var ct = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ct: ct.toString('base64')
+    });
+}
+
+// Decrypt a value encrypted by encrypt
+function decrypt(key, name, stored) {
+    try {
+        var envelope = JSON.parse(stored);
+        var decipher = crypto.createDecipheriv(CIPHER, key, new Buffer(envelope.iv, 'base64'));
+        decipher.setAAD(new Buffer(name, 'utf8'));
+        decipher.setAuthTag(new Buffer(envelope.tag, 'base64'));
+
+        return Buffer.concat([decipher.update(new Buffer(envelope.ct, 'base64')), decipher.final()]).toString('utf8');
+    } catch (err) {
+        debug("Failed to decrypt %s: %s", name, err);
+        var error = new Error(util.format("Failed to decrypt the value of %s: it is not encrypted or was modified", name));
+        error.name = "DecryptionFailed";
+        throw error;
+    }
+}
+
+module.exports = EncryptedKeyValueStore;
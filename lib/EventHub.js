@@ -0,0 +1,295 @@
+/**
+ * Copyright 2016 IBM
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * This module contains the EventHub class, a client for the peer's event stream.
+ *
+ * @module EventHub
+ */
+
+var Base = require('./base.js');
+var utils = require('./utils.js');
+var EventEmitter = require('events').EventEmitter;
+var grpc = require('grpc');
+var debug = require('debug')('hfc');
+
+var _eventsProto = grpc.load(__dirname + "/protos/events.proto").protos;
+
+/**
+ * The EventHub connects to the Events.Chat stream of a peer and re-emits the ledger
+ * events it receives as the following node.js events:
+ *
+ *  'block' - a {Block} was committed to the ledger
+ *  'chaincode' - a {ChaincodeEvent} registered with registerChaincodeEvent() was fired
+ *  'rejection' - a transaction was rejected, with an object of the form {tx, errorMsg}
+ *  'connected' - the peer acknowledged the registration sent by connect(), so the stream is up
+ *  'disconnected' - the stream was closed or failed
+ *  'error' - the stream failed (only emitted if a listener is registered)
+ *
+ * Block and rejection events are always registered; chaincode events must be
+ * registered individually.
+ *
+ * @class EventHub
+ * @memberof module:EventHub
+ */
+var EventHub = Base.extend.call(EventEmitter, /** @lends module:EventHub.EventHub.prototype */{
+
+    _chain: null, // Chain
+    _ep: null, // Endpoint
+    _client: null, // Events client
+    _call: null, // the bidirectional Chat stream
+    _connected: false,
+    _registered: false, // Whether the peer acknowledged the registration of the current stream
+    _chaincodeRegs: null, // {chaincodeID, eventName}[]
+    _txRegistrants: null, // {[txid]: callback}
+
+    /**
+     * @param {Chain} chain The chain on whose behalf this event hub receives events.
+     */
+    constructor: function(chain) {
+        EventEmitter.call(this);
+
+        this._chain = chain;
+        this._chaincodeRegs = [];
+        this._txRegistrants = {};
+    },
+
+    /**
+     * Get the chain with which this event hub is associated.
+     * @returns {Chain} The chain
+     */
+    getChain: function() {
+        return this._chain;
+    },
+
+    /**
+     * Set the address of the peer event source.  Takes effect on the next connect().
+     * @param {string} url The grpc url of the peer event source, "grpc://host:port" or "grpcs://host:port"
+     * @param {string} pem String value of the TLS certificate, required for "grpcs"
+     * @param {Object} opts The endpoint options, as described by utils.Endpoint.  The default
+     * deadline does not apply to the event stream.
+     */
+    setPeerAddr: function(url, pem, opts) {
+        this._ep = new utils.Endpoint(url, pem, opts);
+    },
+
+    /**
+     * Determine if the event stream is open.  It is open from connect() on, before the peer
+     * acknowledges the registration with the 'connected' event.
+     * @returns {boolean} True if open
+     */
+    isConnected: function() {
+        return this._connected;
+    },
+
+    /**
+     * Open the event stream and register for block, rejection and all registered chaincode events.
+     * The 'connected' event is emitted once the peer acknowledges the registration.
+     */
+    connect: function() {
+        var self = this;
+
+        if (self._connected) return;
+
+        if (!self._ep) {
+            throw new Error("Must set the peer address before connecting to the event source");
+        }
+
+        self._client = self._newClient();
+        var call = self._call = self._client.chat();
+        self._connected = true;
+        self._registered = false;
+
+        // A stream replaced by a reconnection may still end or fail: ignore it
+        call.on('data', function(event) {
+            if (self._call !== call) return;
+            self._onEvent(event);
+        });
+        call.on('end', function() {
+            debug("Event stream ended");
+            if (self._call !== call) return;
+            self._onDisconnect();
+        });
+        call.on('error', function(err) {
+            debug("Event stream error: %s", err);
+            if (self._call !== call) return;
+            self._onDisconnect(err);
+        });
+
+        self._sendRegister(self._getInterests());
+    },
+
+    /**
+     * Close the event stream.
+     */
+    disconnect: function() {
+        if (!this._connected) return;
+
+        this._call.end();
+        this._onDisconnect();
+    },
+
+    /**
+     * Register interest in a chaincode event.  If already connected, the interest is sent to
+     * the peer immediately; otherwise it is sent when connecting.
+     * @param {string} chaincodeID The ID of the chaincode emitting the event
+     * @param {string} eventName The name of the event
+     */
+    registerChaincodeEvent: function(chaincodeID, eventName) {
+        var reg = {chaincodeID: chaincodeID, eventName: eventName};
+        if (this._indexOfChaincodeReg(reg) >= 0) return;
+
+        this._chaincodeRegs.push(reg);
+        if (this._connected) {
+            this._sendRegister([newChaincodeInterest(reg)]);
+        }
+    },
+
+    /**
+     * Remove interest in a chaincode event.
+     * @param {string} chaincodeID The ID of the chaincode emitting the event
+     * @param {string} eventName The name of the event
+     */
+    unregisterChaincodeEvent: function(chaincodeID, eventName) {
+        var reg = {chaincodeID: chaincodeID, eventName: eventName};
+        var idx = this._indexOfChaincodeReg(reg);
+        if (idx < 0) return;
+
+        this._chaincodeRegs.splice(idx, 1);
+        if (this._connected) {
+            var event = new _eventsProto.Event();
+            event.setUnregister(new _eventsProto.Unregister({events: [newChaincodeInterest(reg)]}));
+            this._call.write(event);
+        }
+    },
+
+    /**
+     * Register a callback for the outcome of a transaction.  The callback is called once,
+     * as callback(null, tx) when the transaction is seen in a committed block, or as
+     * callback(err) when the transaction is rejected or the event stream disconnects.
+     * @param {string} txid The ID of the transaction
+     * @param {function} callback The callback of the form function(err, tx)
+     */
+    registerTxEvent: function(txid, callback) {
+        this._txRegistrants[txid] = callback;
+    },
+
+    /**
+     * Remove the callback registered for a transaction.
+     * @param {string} txid The ID of the transaction
+     */
+    unregisterTxEvent: function(txid) {
+        delete this._txRegistrants[txid];
+    },
+
+    // Call and remove the callback registered for txid, if any
+    _notifyTx: function(txid, err, tx) {
+        var callback = this._txRegistrants[txid];
+        if (callback) {
+            delete this._txRegistrants[txid];
+            callback(err, tx);
+        }
+    },
+
+    // Create the Events client for the peer address
+    _newClient: function() {
+        return new _eventsProto.Events(this._ep.addr, this._ep.creds, this._ep.options);
+    },
+
+    _indexOfChaincodeReg: function(reg) {
+        for (var i = 0; i < this._chaincodeRegs.length; i++) {
+            var r = this._chaincodeRegs[i];
+            if (r.chaincodeID === reg.chaincodeID && r.eventName === reg.eventName) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    _getInterests: function() {
+        var interests = [
+            new _eventsProto.Interest({eventType: _eventsProto.EventType.BLOCK}),
+            new _eventsProto.Interest({eventType: _eventsProto.EventType.REJECTION})
+        ];
+        for (var i = 0; i < this._chaincodeRegs.length; i++) {
+            interests.push(newChaincodeInterest(this._chaincodeRegs[i]));
+        }
+        return interests;
+    },
+
+    _sendRegister: function(interests) {
+        var event = new _eventsProto.Event();
+        event.setRegister(new _eventsProto.Register({events: interests}));
+        this._call.write(event);
+    },
+
+    _onEvent: function(event) {
+        if (event.block) {
+            var txs = event.block.transactions || [];
+            for (var i = 0; i < txs.length; i++) {
+                this._notifyTx(txs[i].txid, null, txs[i]);
+            }
+            this.emit('block', event.block);
+        } else if (event.chaincodeEvent) {
+            this.emit('chaincode', event.chaincodeEvent);
+        } else if (event.rejection) {
+            if (event.rejection.tx) {
+                var error = new Error("Transaction " + event.rejection.tx.txid + " was rejected: " + event.rejection.errorMsg);
+                error.name = "TransactionRejected";
+                this._notifyTx(event.rejection.tx.txid, error);
+            }
+            this.emit('rejection', event.rejection);
+        } else if (event.register) {
+            // The peer echoes back the registration, the first time once the stream is up
+            debug("Event registration acknowledged");
+            if (!this._registered) {
+                this._registered = true;
+                this.emit('connected');
+            }
+        } else {
+            debug("Ignoring unknown event: %j", event);
+        }
+    },
+
+    _onDisconnect: function(err) {
+        if (!this._connected) return;
+
+        this._connected = false;
+        this._registered = false;
+        this._call = null;
+        this._client = null;
+
+        // The outcome of pending transactions can no longer be observed
+        var pending = Object.keys(this._txRegistrants);
+        for (var i = 0; i < pending.length; i++) {
+            this._notifyTx(pending[i], new Error("Disconnected from the event source before transaction " + pending[i] + " was committed"));
+        }
+
+        if (err && this.listeners('error').length > 0) {
+            this.emit('error', err);
+        }
+        this.emit('disconnected');
+    }
+});
+
+function newChaincodeInterest(reg) {
+    return new _eventsProto.Interest({
+        eventType: _eventsProto.EventType.CHAINCODE,
+        chaincodeRegInfo: new _eventsProto.ChaincodeReg(reg)
+    });
+}
+
+module.exports = EventHub;
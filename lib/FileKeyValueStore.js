@@ -1,15 +1,68 @@
 var api = require('./api.js');
 var fs = require('fs-extra');
 var path = require('path');
+var util = require('util');
 var utils = require('./utils');
+var crypto = require('crypto');
+var debug = require('debug')('hfc');
 
+// The directory, inside the store directory, holding the lock and temporary files
+const WORK_DIR = ".hfc";
+// The directory, inside the work directory, holding the version of each value in a file of
+// the same name, so that the value files keep the plain format of earlier versions
+const VERSION_DIR = "versions";
+const LOCK_RETRY_INTERVAL = 20; // ms
+const LOCK_TIMEOUT = 10000; // ms
+// A lock older than this is considered left behind by a crashed process
+const LOCK_STALE_TIME = 30000; // ms
+// The file, in the work directory, marking that the file names of the store are encoded
+const ENCODED_NAMES_MARKER = "names-encoded";
+// The file, in the work directory, marking that the values which earlier versions stored
+// in subdirectories, for names containing '/', were moved to encoded file names
+const NESTED_NAMES_MARKER = "nested-names-encoded";
+// The lock taken while migrating the file names; encoded names never start with a dot
+const MIGRATION_LOCK = ".migration";
+// The directory, inside the work directory, holding the name of each value whose file name
+// is hashed, in a file of the same name
+const NAME_DIR = "names";
+// The longest encoded name used as a file name, leaving room within the 255 bytes allowed by
+// most file systems for the suffixes of the lock and temporary files
+const MAX_FILE_NAME_LENGTH = 180;
+// The length of the encoded name kept at the start of a hashed file name
+const HASHED_PREFIX_LENGTH = 100;
+
+/**
+ * A KeyValueStore keeping each value in a file of a directory.
+ *
+ * Values are written to a temporary file which is synced to disk and then renamed over
+ * the previous file, so that a crash never leaves a truncated value behind.  Updates take
+ * an advisory lock file, so that several processes can share the directory, and each value
+ * carries a version number, so that a concurrent update can be detected: see setValue.
+ * The value files hold the value only.  The versions are kept in the .hfc/versions
+ * directory; a value without a version file has version 0.  The version file of a deleted
+ * value is kept, so that the version keeps increasing when the value is set again.
+ *
+ * Names are encoded into file names that stay inside the store directory, whatever the
+ * name: characters other than letters, digits, '_', '-' and '.' (and a leading '.') are
+ * percent-encoded, and lone surrogates, which have no UTF-8 encoding, become %uXXXX.  An
+ * encoded name longer than 180 characters is cut and followed by '~' and its SHA-256 hash,
+ * and the name is kept in the .hfc/names directory.  A store created by an earlier version,
+ * which used the names as file names, is migrated the first time it is opened, including
+ * the values it kept in subdirectories for names containing '/'.
+ */
 var FileKeyValueStore = api.KeyValueStore.extend({
 
     _dir: "",   // root directory for the file store
+    _ready: null, // Promise for the completion of the migration of the store
 
     constructor: function(dir /*string*/) {
         this._dir = dir;
-        fs.mkdirsSync(this._dir);
+        fs.mkdirsSync(path.join(this._dir, WORK_DIR, VERSION_DIR));
+        fs.mkdirsSync(path.join(this._dir, WORK_DIR, NAME_DIR));
+
+        this._ready = this._migrate();
+        // The failure is reported by every operation on the store
+        this._ready.catch(function() {});
     },
 
     /**
@@ -18,43 +71,629 @@ var FileKeyValueStore = api.KeyValueStore.extend({
      * @returns Promise for the value
      */
     getValue: function(name /*string*/) {
-    	var self = this;
-
-    	return new Promise(function(resolve, reject) {
-	        var p = path.join(self._dir, name);
-	        fs.readFile(p, 'utf8', function (err, data) {
-	            if (err) {
-	                if (err.code !== 'ENOENT') {
-	                	reject(err);
-	                } else {
-                        return resolve(null);
-                    }
-	            }
+        var self = this;
 
-	            return resolve(data);
-	        });
-    	});
+        return self._ready.then(function() {
+            return readIfExists(path.join(self._dir, encodeName(name)));
+        });
+    },
+
+    /**
+     * Get the value associated with name together with its version, to pass to setValue
+     * in order to detect a concurrent update.
+     * @param name
+     * @returns Promise for an object of the form {value, version}, where value is null if there
+     * is no value, and version is 0 if no value was ever stored
+     */
+    getValueWithVersion: function(name /*string*/) {
+        var self = this;
+        var file = encodeName(name);
+
+        // The version and the value are written one after the other, so they are read under
+        // the lock to get a matching pair
+        return self._withLock(file, function() {
+            return self._read(file);
+        });
     },
 
     /**
      * Set the value associated with name.
      * @param name
+     * @param value
+     * @param {number} expectedVersion If set, the value is only written if the stored value still has
+     * this version, as returned by getValueWithVersion.  Otherwise the promise is rejected with an Error
+     * named "VersionConflict".
      * @returns Promise for a "true" value on successful completion
      */
-    setValue: function (name /*string*/, value /*string*/) {
-    	var self = this;
-
-    	return new Promise(function(resolve, reject) {
-	        var p = path.join(self._dir, name);
-	        fs.writeFile(p, value, function(err) {
-	        	if (err) {
-	        		reject(err);
-	        	} else {
-                    return resolve(true);
-                }
-	        });
-    	});
+    setValue: function (name /*string*/, value /*string*/, expectedVersion /*number*/) {
+        var self = this;
+        var file = encodeName(name);
+
+        return self._withLock(file, function() {
+            return self._read(file)
+            .then(
+                function(current) {
+                    if (expectedVersion !== undefined && current.version !== expectedVersion) {
+                        var error = new Error(util.format("The value of %s was updated concurrently: expected version %d but found %d",
+                            name, expectedVersion, current.version));
+                        error.name = "VersionConflict";
+                        throw error;
+                    }
+                    return self._write(file, value, current.version + 1, name);
+                }
+            );
+        })
+        .then(
+            function() {
+                return true;
+            }
+        );
+    },
+
+    /**
+     * Read, modify and write the value associated with name while holding its lock, so that
+     * no other process updates it in between.
+     * @param name
+     * @param {function} modify A function of the form function(value), returning the new value or
+     * a promise for it.  The value is null if none is stored.
+     * @returns Promise for the new value
+     */
+    update: function(name /*string*/, modify) {
+        var self = this;
+        var file = encodeName(name);
+
+        return self._withLock(file, function() {
+            return self._read(file)
+            .then(
+                function(current) {
+                    return Promise.resolve(modify(current.value))
+                    .then(
+                        function(value) {
+                            return self._write(file, value, current.version + 1, name)
+                            .then(
+                                function() {
+                                    return value;
+                                }
+                            );
+                        }
+                    );
+                }
+            );
+        });
+    },
+
+    /**
+     * Delete the value associated with name.  Its version is kept and incremented, so that an
+     * update based on the deleted value is detected and a value set again gets a new version.
+     * @param name
+     * @returns Promise for true if the value was deleted, or false if there was none
+     */
+    deleteValue: function(name /*string*/) {
+        var self = this;
+        var file = encodeName(name);
+
+        return self._withLock(file, function() {
+            return self._read(file)
+            .then(
+                function(current) {
+                    if (current.value === null) return false;
+
+                    return writeAtomic(self._versionPath(file), String(current.version + 1), path.join(self._dir, WORK_DIR))
+                    .then(
+                        function() {
+                            return fsCall('unlink', path.join(self._dir, file));
+                        }
+                    ).then(
+                        function() {
+                            return removeIfExists(self._namePath(file));
+                        }
+                    ).then(
+                        function() {
+                            return true;
+                        }
+                    );
+                }
+            );
+        });
+    },
+
+    /**
+     * List the names of the stored values.
+     * @param prefix If set, only the names starting with prefix are listed
+     * @returns Promise for the array of names
+     */
+    listKeys: function(prefix /*string*/) {
+        var self = this;
+
+        return self._ready.then(function() {
+            return fsCall('readdir', self._dir);
+        }).then(
+            function(files) {
+                return Promise.all(files.filter(function(file) {
+                    return file !== WORK_DIR;
+                }).map(function(file) {
+                    return isHashedName(file) ? readIfExists(self._namePath(file)) : decodeName(file);
+                }));
+            }
+        ).then(
+            function(names) {
+                return names.filter(function(name) {
+                    return name !== null && (!prefix || name.indexOf(prefix) === 0);
+                });
+            }
+        );
+    },
+
+    /**
+     * Determine if a value is associated with name.
+     * @param name
+     * @returns Promise for true if a value is stored under name
+     */
+    hasValue: function(name /*string*/) {
+        var self = this;
+
+        return self._ready.then(function() {
+            return new Promise(function(resolve, reject) {
+                var p = path.join(self._dir, encodeName(name));
+                fs.stat(p, function(err, stats) {
+                    if (err) {
+                        if (err.code !== 'ENOENT') {
+                            return reject(err);
+                        }
+                        return resolve(false);
+                    }
+                    return resolve(stats.isFile());
+                });
+            });
+        });
+    },
+
+    // Migrate a store created by an earlier version, once, under a lock so that concurrent
+    // processes do not migrate it twice
+    _migrate: function() {
+        var self = this;
+
+        return self._lock(MIGRATION_LOCK)
+        .then(
+            function(release) {
+                return self._migrateNames()
+                .then(
+                    function() {
+                        return self._migrateNestedNames();
+                    }
+                ).then(
+                    function() {
+                        return release();
+                    },
+                    function(err) {
+                        return release().then(function() { throw err; });
+                    }
+                );
+            }
+        );
+    },
+
+    // Rename the files of a store created before names were encoded
+    _migrateNames: function() {
+        var self = this;
+        var marker = path.join(self._dir, WORK_DIR, ENCODED_NAMES_MARKER);
+
+        if (utils.exists(marker)) return Promise.resolve();
+
+        return fsCall('readdir', self._dir)
+        .then(
+            function(files) {
+                return Promise.all(files.filter(function(file) {
+                    return file !== WORK_DIR && encodeName(file) !== file;
+                }).map(function(file) {
+                    debug("Migrating %s to an encoded file name", file);
+                    return self._moveTo(path.join(self._dir, file), file);
+                }));
+            }
+        ).then(
+            function() {
+                return fsCall('writeFile', marker, "");
+            }
+        );
+    },
+
+    // Move the values which earlier versions stored in subdirectories, for names containing
+    // '/', to encoded file names.  The subdirectories were renamed like the other files by
+    // _migrateNames, while the names below them were not encoded.
+    _migrateNestedNames: function() {
+        var self = this;
+        var marker = path.join(self._dir, WORK_DIR, NESTED_NAMES_MARKER);
+
+        if (utils.exists(marker)) return Promise.resolve();
+
+        return fsCall('readdir', self._dir)
+        .then(
+            function(files) {
+                return Promise.all(files.filter(function(file) {
+                    return file !== WORK_DIR;
+                }).map(function(file) {
+                    var p = path.join(self._dir, file);
+                    return fsCall('stat', p)
+                    .then(
+                        function(stats) {
+                            if (!stats.isDirectory()) return;
+
+                            return listFiles(p, decodeName(file))
+                            .then(
+                                function(entries) {
+                                    return Promise.all(entries.map(function(entry) {
+                                        debug("Migrating %s to an encoded file name", entry.name);
+                                        return self._moveTo(entry.path, entry.name);
+                                    }));
+                                }
+                            ).then(
+                                function() {
+                                    return fsCall('remove', p);
+                                }
+                            );
+                        }
+                    );
+                }));
+            }
+        ).then(
+            function() {
+                return fsCall('writeFile', marker, "");
+            }
+        );
+    },
+
+    // Move a file to the file of a name
+    _moveTo: function(from, name) {
+        var self = this;
+        var file = encodeName(name);
+
+        var recordName = isHashedName(file) ? writeAtomic(self._namePath(file), name, path.join(self._dir, WORK_DIR)) : Promise.resolve();
+        return recordName.then(
+            function() {
+                return fsCall('rename', from, path.join(self._dir, file));
+            }
+        );
+    },
+
+    _versionPath: function(file) {
+        return path.join(this._dir, WORK_DIR, VERSION_DIR, file);
+    },
+
+    _namePath: function(file) {
+        return path.join(this._dir, WORK_DIR, NAME_DIR, file);
+    },
+
+    // Read the value and version of a file.  Values without a version file have version 0.
+    // Should be called while holding the lock of the file.
+    _read: function(file) {
+        var self = this;
+
+        return Promise.all([
+            readIfExists(path.join(self._dir, file)),
+            readIfExists(self._versionPath(file))
+        ]).then(
+            function(data) {
+                return {
+                    value: data[0],
+                    version: data[1] !== null ? parseInt(data[1], 10) : 0
+                };
+            }
+        );
+    },
+
+    // Write the version and then the value of a file.  Should the value not be written, the
+    // version is ahead of it, which makes a concurrent update fail rather than go unnoticed.
+    // The name is recorded first if the file name is hashed.
+    _write: function(file, value, version, name) {
+        var self = this;
+        var tmpDir = path.join(self._dir, WORK_DIR);
+
+        var recordName = (name !== undefined && isHashedName(file)) ? writeAtomic(self._namePath(file), name, tmpDir) : Promise.resolve();
+        return recordName.then(
+            function() {
+                return writeAtomic(self._versionPath(file), String(version), tmpDir);
+            }
+        ).then(
+            function() {
+                return writeAtomic(path.join(self._dir, file), value, path.join(self._dir, WORK_DIR));
+            }
+        );
+    },
+
+    // Call fn while holding the advisory lock of a file, and release the lock when its promise settles
+    _withLock: function(file, fn) {
+        var self = this;
+
+        return self._ready.then(function() {
+            return self._lock(file);
+        }).then(
+            function(release) {
+                return Promise.resolve()
+                .then(fn)
+                .then(
+                    function(result) {
+                        return release().then(function() { return result; });
+                    },
+                    function(err) {
+                        return release().then(function() { throw err; });
+                    }
+                );
+            }
+        );
+    },
+
+    // Take the lock of a file by exclusively creating its lock file.  Returns a promise for the
+    // function that releases the lock.
+    _lock: function(file) {
+        var lockPath = path.join(this._dir, WORK_DIR, file + ".lock");
+        var deadline = Date.now() + LOCK_TIMEOUT;
+
+        var release = function() {
+            return fsCall('unlink', lockPath).catch(function(err) {
+                debug("Failed to release the lock %s: %s", lockPath, err);
+            });
+        };
+
+        var attempt = function() {
+            return fsCall('open', lockPath, 'wx')
+            .then(
+                function(fd) {
+                    return fsCall('write', fd, String(process.pid))
+                    .then(
+                        function() {
+                            return fsCall('close', fd);
+                        }
+                    ).then(
+                        function() {
+                            return release;
+                        }
+                    );
+                },
+                function(err) {
+                    if (err.code !== 'EEXIST') {
+                        throw err;
+                    }
+                    return waitForLock(lockPath, deadline).then(attempt);
+                }
+            );
+        };
+
+        return attempt();
     }
 });
 
-module.exports = FileKeyValueStore;
\ No newline at end of file
+// Encode a name into a file name that stays inside the store directory
+function encodeName(name) {
+    var encoded = name.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[^A-Za-z0-9_.\-]/g, function(c) {
+        if (c.length === 1 && c >= '\uD800' && c <= '\uDFFF') {
+            // A lone surrogate, which encodeURIComponent cannot encode
+            return '%u' + ('000' + c.charCodeAt(0).toString(16).toUpperCase()).slice(-4);
+        }
+        return encodeURIComponent(c).replace(/[!'()*~]/g, function(r) {
+            return '%' + r.charCodeAt(0).toString(16).toUpperCase();
+        });
+    });
+
+    // Leave no '.' or '..' and no hidden file names, such as the work directory
+    if (encoded.charAt(0) === '.') {
+        encoded = '%2E' + encoded.substring(1);
+    }
+
+    // '~' is always encoded, so it only appears in hashed names
+    if (encoded.length > MAX_FILE_NAME_LENGTH) {
+        var hash = crypto.createHash('sha256').update(encoded).digest('hex');
+        encoded = encoded.substring(0, HASHED_PREFIX_LENGTH) + '~' + hash;
+    }
+    return encoded;
+}
+
+function isHashedName(file) {
+    return file.indexOf('~') >= 0;
+}
+
+// Decode a file name which is not hashed
+function decodeName(file) {
+    return file.replace(/(%[0-9A-F]{2})+|%u([0-9A-F]{4})/g, function(match, bytes, surrogate) {
+        return surrogate ? String.fromCharCode(parseInt(surrogate, 16)) : decodeURIComponent(match);
+    });
+}
+
+// List the files below a directory of a store created by an earlier version, as objects of
+// the form {path, name}, where name is the name of the stored value
+function listFiles(dir, name) {
+    return fsCall('readdir', dir)
+    .then(
+        function(files) {
+            return Promise.all(files.map(function(file) {
+                var p = path.join(dir, file);
+                var n = name + "/" + file;
+                return fsCall('stat', p)
+                .then(
+                    function(stats) {
+                        return stats.isDirectory() ? listFiles(p, n) : [{path: p, name: n}];
+                    }
+                );
+            }));
+        }
+    ).then(
+        function(lists) {
+            return [].concat.apply([], lists);
+        }
+    );
+}
+
+// Wait for a lock held by someone else, removing it if it was left behind by a crashed process
+function waitForLock(lockPath, deadline) {
+    return fsCall('stat', lockPath)
+    .then(
+        function(stats) {
+            if (Date.now() - stats.mtime.getTime() > LOCK_STALE_TIME) {
+                return breakStaleLock(lockPath, stats);
+            }
+
+            if (Date.now() > deadline) {
+                var error = new Error(util.format("Timed out waiting for the lock %s", lockPath));
+                error.name = "LockTimeout";
+                throw error;
+            }
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, LOCK_RETRY_INTERVAL);
+            });
+        },
+        function(err) {
+            // The lock was released in the meantime
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    );
+}
+
+// Remove a stale lock.  Another waiter may have removed it already and a new owner taken
+// the lock since it was found stale, so the lock file is first moved to a name of its own,
+// and only removed if it is still the stale lock; otherwise it is put back.
+function breakStaleLock(lockPath, stale) {
+    var moved = util.format("%s.%d.%s.stale", lockPath, process.pid, utils.GenerateUUID());
+
+    return fsCall('rename', lockPath, moved)
+    .then(
+        function() {
+            return fsCall('stat', moved);
+        }
+    ).then(
+        function(stats) {
+            if (stats.ino === stale.ino && stats.mtime.getTime() === stale.mtime.getTime()) {
+                debug("Removed the stale lock %s", lockPath);
+                return fsCall('unlink', moved);
+            }
+
+            debug("The lock %s was taken again while removing it as stale", lockPath);
+            return fsCall('link', moved, lockPath)
+            .catch(
+                function(err) {
+                    debug("Failed to put back the lock %s: %s", lockPath, err);
+                }
+            ).then(
+                function() {
+                    return fsCall('unlink', moved);
+                }
+            );
+        }
+    ).catch(
+        function(err) {
+            // Another waiter removed the lock first
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    );
+}
+
+// Read a file, or null if it does not exist
+function readIfExists(p) {
+    return fsCall('readFile', p, 'utf8')
+    .catch(
+        function(err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+            return null;
+        }
+    );
+}
+
+function removeIfExists(p) {
+    return fsCall('unlink', p)
+    .catch(
+        function(err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    );
+}
+
+// Write data to a temporary file in tmpDir, sync it and rename it over the file.  On failure
+// the temporary file is closed and removed.
+function writeAtomic(p, data, tmpDir) {
+    var tmp = path.join(tmpDir, util.format("%s.%d.%s.tmp", path.basename(p), process.pid, utils.GenerateUUID()));
+    var fd = null;
+
+    return fsCall('open', tmp, 'w')
+    .then(
+        function(f) {
+            fd = f;
+            return fsCall('write', fd, data);
+        }
+    ).then(
+        function() {
+            return fsCall('fsync', fd);
+        }
+    ).then(
+        function() {
+            var f = fd;
+            fd = null;
+            return fsCall('close', f);
+        }
+    ).then(
+        function() {
+            return fsCall('rename', tmp, p);
+        }
+    ).then(
+        function() {
+            return syncDir(path.dirname(p));
+        }
+    ).catch(
+        function(err) {
+            var close = fd === null ? Promise.resolve() : fsCall('close', fd).catch(function() {});
+            return close.then(
+                function() {
+                    return removeIfExists(tmp).catch(function() {});
+                }
+            ).then(
+                function() {
+                    throw err;
+                }
+            );
+        }
+    );
+}
+
+// Sync a directory so that a rename in it is durable.  Not all platforms support it.
+function syncDir(dir) {
+    return fsCall('open', dir, 'r')
+    .then(
+        function(fd) {
+            return fsCall('fsync', fd)
+            .catch(function() {})
+            .then(
+                function() {
+                    return fsCall('close', fd);
+                }
+            );
+        }
+    ).catch(
+        function(err) {
+            debug("Failed to sync the directory %s: %s", dir, err);
+        }
+    );
+}
+
+// Call an asynchronous fs function and return a promise for its result
+function fsCall(method /*, args */) {
+    var args = Array.prototype.slice.call(arguments, 1);
+
+    return new Promise(function(resolve, reject) {
+        args.push(function(err, result) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+        fs[method].apply(fs, args);
+    });
+}
+
+module.exports = FileKeyValueStore;
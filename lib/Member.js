@@ -1,6 +1,36 @@
 var api = require('./api.js');
 var util = require('util');
+var utils = require('./utils.js');
 var stats = require('./stats.js');
+var TransactionContext = require('./TransactionContext.js');
+var debug = require('debug')('hfc');
+
+// The prefix of the names under which the state of members is kept in the key value store
+const MEMBER_KEY_PREFIX = "member.";
+// The version of the member state written by toString.  A state without a version is version 0.
+const STATE_VERSION = 1;
+// The default number of confidential transaction keys a member keeps in memory
+const TX_KEY_CACHE_SIZE = 100;
+
+// The migrations of the member state, indexed by the version they upgrade from.  Each one
+// takes a state of its version and returns the state of the next version.  Optional fields,
+// such as the revoked flag and the TLS certificate, take their default when missing and need
+// no migration.
+var STATE_MIGRATIONS = {
+    // Version 0 stored the query state key as a JSON serialized Buffer, and could store
+    // the unmarshalled chain key
+    0: function(state) {
+        var enrollment = state.enrollment;
+        if (enrollment && typeof enrollment === 'object') {
+            var key = enrollment.queryStateKey;
+            if (key && key.type === 'Buffer' && Array.isArray(key.data)) {
+                enrollment.queryStateKey = new Buffer(key.data).toString('hex');
+            }
+            delete enrollment.enrollChainKey;
+        }
+        return state;
+    }
+};
 
 var Member = api.Member.extend({
 
@@ -11,11 +41,15 @@ var Member = api.Member.extend({
     _affiliation: "",
     _enrollmentSecret: "",
     _enrollment: null,
+    _revoked: false,
+    _tlsCertificate: null, // {key, cert, rootCert}, PEM encoded
     _memberServices: null, //MemberServices
     _keyValStore: null,
     _keyValStoreName: "",
     _tcertGetterMap: {}, //{[s:string]:TCertGetter}
     _tcertBatchSize: -1,
+    _txKeys: null, // Map of txid to private ECIES key, least recently used first
+    _txKeyCacheSize: TX_KEY_CACHE_SIZE,
 
     /**
      * Constructor for a member.
@@ -37,6 +71,8 @@ var Member = api.Member.extend({
         this._keyValStore = chain.getKeyValueStore();
         this._keyValStoreName = toKeyValueStoreName(this._name);
         this._tcertBatchSize = chain.getTCertBatchSize();
+        this._tcertGetterMap = {};
+        this._txKeys = new Map();
     },
 
     /**
@@ -140,6 +176,49 @@ var Member = api.Member.extend({
         return this._enrollment;
     },
 
+    /**
+     * Set the enrollment info, as returned by MemberServices.enroll, and save the state of
+     * this member.  The transaction certificates of a previous enrollment are discarded.
+     * @param {Enrollment} enrollment The enrollment, of the form {key, cert, chainKey}
+     * @returns Promise for a "true" value once the state is saved
+     */
+    setEnrollment: function(enrollment) {
+        var crypto = this._chain.cryptoPrimitives;
+
+        this._enrollment = enrollment;
+        // Generate queryStateKey
+        if (!this._enrollment.queryStateKey) {
+            this._enrollment.queryStateKey = crypto.generateNonce();
+        }
+        // Fail now rather than in the first confidential transaction if the chain key is not a
+        // valid PEM.  The key is unmarshalled from enrollment.chainKey when it is used.
+        crypto.ecdsaPEMToPublicKey(this._enrollment.chainKey);
+        this._tcertGetterMap = {};
+
+        return this.saveState();
+    },
+
+    /**
+     * Get the TLS client certificate issued to this member by MemberServices.createTLSCertificate.
+     * @returns {Object} The certificate, of the form {key, cert, rootCert} in PEM, or null if none
+     * was issued.  For mutual TLS, pass key and cert to utils.Endpoint as the clientKey and
+     * clientCert options.
+     */
+    getTLSCertificate: function() {
+        return this._tlsCertificate;
+    },
+
+    /**
+     * Set the TLS client certificate of this member and save its state.
+     * @param {Object} tlsCertificate The certificate, of the form {key, cert, rootCert} in PEM
+     * @returns Promise for a "true" value once the state is saved
+     */
+    setTLSCertificate: function(tlsCertificate) {
+        this._tlsCertificate = tlsCertificate;
+
+        return this.saveState();
+    },
+
     /**
      * Determine if this name has been registered.
      * @returns {boolean} True if registered; otherwise, false.
@@ -156,6 +235,14 @@ var Member = api.Member.extend({
         return this._enrollment !== null;
     },
 
+    /**
+     * Determine if the ECert of this member has been revoked.
+     * @returns {boolean} True if revoked; otherwise, false.
+     */
+    isRevoked: function() {
+        return this._revoked;
+    },
+
     /**
      * Register the member.
      * @param cb Callback of the form: {function(err,enrollmentSecret)}
@@ -193,7 +280,9 @@ var Member = api.Member.extend({
     },
 
     /**
-     * Enroll the member and return the enrollment results.
+     * Enroll the member and return the enrollment results.  A new enrollment carries the
+     * fetchResult with which the ECA reports the refresh of the attributes of the member,
+     * as described in MemberServices.enroll.
      * @param enrollmentSecret The password or enrollment secret as returned by register.
      * @param cb Callback to report an error if it occurs
      */
@@ -213,22 +302,11 @@ var Member = api.Member.extend({
 	            self._memberServices.enroll(req)
 	                .then(
 	                    function(enrollment) {
-
-	                        self._enrollment = enrollment;
-	                        // Generate queryStateKey
-	                        self._enrollment.queryStateKey = self._chain.cryptoPrimitives.generateNonce();
-
-	                        // Save state
-	                        return self.saveState();
+	                        return self.setEnrollment(enrollment);
 	                    }
 	                ).then(
 	                    function(data) {
-	                        // Unmarshall chain key
-	                        // TODO: during restore, unmarshall enrollment.chainKey
-	                        var ecdsaChainKey = self._chain.cryptoPrimitives.ecdsaPEMToPublicKey(self._enrollment.chainKey);
-	                        self._enrollment.enrollChainKey = ecdsaChainKey;
-
-	                        return resolve(enrollment);
+	                        return resolve(self._enrollment);
 	                    }
 	                ).catch(
 	                    function(err) {
@@ -302,6 +380,42 @@ var Member = api.Member.extend({
         return tx;
     },
 
+    /**
+     * Issue a deploy request on behalf of this member.
+     * @param deployRequest {Object}
+     * @returns Promise for an object of the form {txid, chaincodeID}, resolved once the deploy
+     * transaction is committed
+     */
+    deployAsync: function(deployRequest) {
+        return transactionPromise(this.deploy(deployRequest), function(event) {
+            return {txid: event.uuid, chaincodeID: event.chaincodeID};
+        });
+    },
+
+    /**
+     * Issue an invoke request on behalf of this member.
+     * @param invokeRequest {Object}
+     * @returns Promise for an object of the form {txid, result}, resolved once the invoke
+     * transaction is committed.  The peer does not currently return a result for invoke
+     * transactions, so 'result' is only set if the 'complete' event carries one.
+     */
+    invokeAsync: function(invokeRequest) {
+        return transactionPromise(this.invoke(invokeRequest), function(event) {
+            return {txid: event.uuid, result: event.result};
+        });
+    },
+
+    /**
+     * Issue a query request on behalf of this member.
+     * @param queryRequest {Object}
+     * @returns Promise for the query result as a Buffer
+     */
+    queryAsync: function(queryRequest) {
+        return transactionPromise(this.query(queryRequest), function(event) {
+            return event.result;
+        });
+    },
+
     /**
      * Create a transaction context with which to issue build, deploy, invoke, or query transactions.
      * Only call this if you want to use the same tcert for multiple transactions.
@@ -312,6 +426,53 @@ var Member = api.Member.extend({
         return new TransactionContext(this, tcert);
     },
 
+    /**
+     * Get the key with which a confidential transaction issued by this member was encrypted.
+     * Transaction keys are only kept in memory, so only the transactions issued by this member
+     * in this process can be decrypted, and only the most recently used of them (see
+     * setTransactionKeyCacheSize).
+     * @param {string} txid The transaction ID
+     * @returns The private ECIES key of the transaction, or undefined if not known
+     */
+    getTransactionKey: function(txid) {
+        var key = this._txKeys.get(txid);
+        if (key) {
+            // Mark as most recently used
+            this._txKeys.delete(txid);
+            this._txKeys.set(txid, key);
+        }
+        return key;
+    },
+
+    /**
+     * Remember the key with which a confidential transaction issued by this member was encrypted.
+     * The least recently used key is forgotten once more keys than the cache size are kept.
+     * @param {string} txid The transaction ID
+     * @param {Object} key The private ECIES key of the transaction
+     */
+    setTransactionKey: function(txid, key) {
+        this._txKeys.delete(txid);
+        this._txKeys.set(txid, key);
+        this._pruneTransactionKeys();
+    },
+
+    /**
+     * Set the number of confidential transaction keys kept in memory.  The default is 100;
+     * 0 keeps no keys, so that no confidential transaction can be decrypted.
+     * @param {number} size The maximum number of keys
+     */
+    setTransactionKeyCacheSize: function(size) {
+        this._txKeyCacheSize = size;
+        this._pruneTransactionKeys();
+    },
+
+    // Forget the least recently used transaction keys beyond the cache size
+    _pruneTransactionKeys: function() {
+        while (this._txKeys.size > this._txKeyCacheSize) {
+            this._txKeys.delete(this._txKeys.keys().next().value);
+        }
+    },
+
     /**
      * Get a user certificate.
      * @param attrs The names of attributes to include in the user certificate.
@@ -326,21 +487,177 @@ var Member = api.Member.extend({
      * @param cb
      */
     getNextTCert: function(attrs) {
+        return this._withTCertGetter(attrs, function(tcertGetter) {
+            return tcertGetter.getNextTCert();
+        });
+    },
+
+    /**
+     * Determine which of a list of attributes this member holds.  The attributes are read from
+     * a TCert issued with them: the TCA requests them from the attribute certificate authority
+     * (ACA) and embeds in the TCert those the member holds.  The TCert is the next one kept for
+     * these attributes, fetching a batch if there is none, and stays available for transactions.
+     *
+     * The ACA services to fetch and request attributes (ACAP.FetchAttributes and
+     * ACAP.RequestAttributes) are not called, as the ACA only answers requests signed by the
+     * CAs; the result of the ECA fetching the attributes on enrollment is reported as the
+     * fetchResult of the enrollment.  The ACA cannot list the attributes of a member, so the
+     * names of the attributes to check are required.  An attribute embedded in the TCert whose
+     * value cannot be read is not listed; see TCert.getAttributeError.
+     * @param {string[]} attrs The names of the attributes
+     * @returns Promise for the array of the names of the attributes held by this member
+     */
+    getAttributes: function(attrs) {
+        if (!Array.isArray(attrs) || attrs.length === 0) {
+            return Promise.reject(new Error("The names of the attributes to check are required"));
+        }
+
+        return this._withTCertGetter(attrs, function(tcertGetter) {
+            return tcertGetter.peekTCert();
+        }).then(
+            function(tcert) {
+                return attrs.filter(function(name) {
+                    return tcert.getAttribute(name) !== null;
+                });
+            }
+        );
+    },
+
+    // Call fn with the TCert getter of a set of attributes, if this member may get TCerts
+    _withTCertGetter: function(attrs, fn) {
         var self = this;
 
         if (!self.isEnrolled()) {
             return Promise.reject(new Error(util.format("user '%s' is not enrolled", self.getName())));
         }
+        if (self._revoked) {
+            return Promise.reject(new Error(util.format("user '%s' is revoked", self.getName())));
+        }
 
         var key = getAttrsKey(attrs);
 
-        var tcertGetter = self.tcertGetterMap[key];
+        var tcertGetter = self._tcertGetterMap[key];
         if (!tcertGetter) {
             tcertGetter = new TCertGetter(self, attrs, key);
-            self.tcertGetterMap[key] = tcertGetter;
+            self._tcertGetterMap[key] = tcertGetter;
         }
 
-        return tcertGetter.getNextTCert();
+        return fn(tcertGetter);
+    },
+
+    /**
+     * Revoke the ECert of this member with the member services, and mark the stored state
+     * of this member as revoked.
+     * @returns Promise for a "true" value on completion
+     */
+    revoke: function() {
+        var self = this;
+
+        return self._memberServices.revokeECert(self)
+        .then(
+            function() {
+                return self.markRevoked();
+            }
+        );
+    },
+
+    /**
+     * Revoke a transaction certificate of this member.  The member services first removes the
+     * TCert from the TCerts kept for the transactions of this member, so that it is not used
+     * any more.
+     * @param {TCert} tcert The TCert to revoke
+     * @returns Promise for a "true" value on completion
+     */
+    revokeTCert: function(tcert) {
+        return this._memberServices.revokeTCert(this, tcert);
+    },
+
+    /**
+     * Revoke the batch of transaction certificates to which a TCert of this member belongs.
+     * The member services first removes the TCerts of the batch from the TCerts kept for the
+     * transactions of this member.
+     * @param {TCert} tcert A TCert of the batch to revoke
+     * @returns Promise for a "true" value on completion
+     */
+    revokeTCertBatch: function(tcert) {
+        var timestamp = tcert.batchTimestamp;
+        if (!timestamp) {
+            return Promise.reject(new Error("The TCert does not identify its batch"));
+        }
+
+        return this._memberServices.revokeTCertBatch(this, timestamp);
+    },
+
+    /**
+     * Remove the TCerts matching a predicate from the TCerts kept for the transactions of this
+     * member.  The member services calls it when TCerts of this member are revoked.
+     * @param {function(TCert)} match The predicate, true for the TCerts to remove
+     */
+    removeTCerts: function(match) {
+        var self = this;
+
+        Object.keys(self._tcertGetterMap).forEach(function(key) {
+            var removed = self._tcertGetterMap[key].removeTCerts(match);
+            if (removed > 0) {
+                debug("Removed %d revoked TCert(s) of %s", removed, self._name);
+            }
+        });
+    },
+
+    /**
+     * Mark this member as revoked and save its state, without contacting the member services.
+     * A revoked member gets no more transaction certificates.
+     * @returns Promise for a "true" value once the state is saved
+     */
+    markRevoked: function() {
+        this._revoked = true;
+        this._tcertGetterMap = {};
+
+        return this.saveState();
+    },
+
+    /**
+     * Export the identity of this member, so that it can be moved to another machine with
+     * Chain.importIdentity or handed to other tools.
+     * @param {Object} options Of the form {format: 'pem', passphrase: string}, where the
+     * passphrase encrypts the private key
+     * @returns Promise for the bundle {format, name, roles, affiliation, key, cert, chainKey, caChain},
+     * where key is the private key as an encrypted PKCS#8 PEM, cert the ECert as a PEM, chainKey
+     * the chain public key as a PEM and caChain the array of PEM certificates of the CAs which
+     * issued the ECert
+     */
+    exportIdentity: function(options) {
+        var self = this;
+        options = options || {};
+
+        if (!self.isEnrolled()) {
+            return Promise.reject(new Error(util.format("Member %s is not enrolled", self._name)));
+        }
+        if ((options.format || 'pem') !== 'pem') {
+            return Promise.reject(new Error(util.format("Unsupported identity format: %s", options.format)));
+        }
+        if (!options.passphrase) {
+            return Promise.reject(new Error("A passphrase is required to encrypt the private key"));
+        }
+
+        return self._memberServices.getECACertificate()
+        .then(
+            function(caCert) {
+                var crypto = self._chain.cryptoPrimitives;
+                var enrollment = self._enrollment;
+
+                return {
+                    format: 'pem',
+                    name: self._name,
+                    roles: self._roles,
+                    affiliation: self._affiliation,
+                    key: crypto.ecdsaPrivateKeyToPKCS8PEM(enrollment.key, options.passphrase),
+                    cert: utils.toPEM(new Buffer(enrollment.cert, 'hex'), 'CERTIFICATE'),
+                    chainKey: new Buffer(enrollment.chainKey, 'hex').toString(),
+                    caChain: [utils.toPEM(caCert, 'CERTIFICATE')]
+                };
+            }
+        );
     },
 
     /**
@@ -351,9 +668,19 @@ var Member = api.Member.extend({
         return this._keyValStore.setValue(this._keyValStoreName, this.toString());
     },
 
+    /**
+     * Delete the state of this member from the key value store.
+     * @returns Promise for true if the state was deleted, or false if none was stored
+     */
+    deleteState: function() {
+        return this._keyValStore.deleteValue(this._keyValStoreName);
+    },
+
     /**
      * Restore the state of this member from the key value store (if found).  If not found, do nothing.
-     * @param cb Callback of the form: function(err}
+     * A state saved by an earlier version is upgraded and saved back.
+     * @returns Promise for true on completion, rejected with an Error named "InvalidMemberState"
+     * if the stored state is corrupt
      */
 	restoreState() {
         var self = this;
@@ -362,10 +689,21 @@ var Member = api.Member.extend({
         	self._keyValStore.getValue(self._keyValStoreName)
         	.then(
         		function(memberStr) {
-		            if (memberStr) {
-		                // The member was found in the key value store, so restore the state.
-		                self.fromString(memberStr);
+		            if (!memberStr) {
+		                return true;
 		            }
+		            // The member was found in the key value store, so restore the state.
+		            var state = parseState(memberStr, self._keyValStoreName);
+		            var version = state.version || 0;
+		            self._setState(upgradeState(state, self._keyValStoreName));
+		            if (version < STATE_VERSION) {
+		                debug("Saving the state of member %s upgraded from version %d", self._name, version);
+		                return self.saveState();
+		            }
+		            return true;
+		        }
+		    ).then(
+		        function() {
 		            return resolve(true);
 		        }
 		    ).catch(
@@ -377,22 +715,13 @@ var Member = api.Member.extend({
     },
 
     /**
-     * Get the current state of this member as a string
-     * @return {string} The state of this member as a string
+     * Set the current state of this member from a string returned by toString, upgrading
+     * a state saved by an earlier version.
+     * @param {string} str The state of this member as a string
+     * @throws {Error} An Error named "InvalidMemberState" if the state is corrupt
      */
     fromString: function(str) {
-        var state = JSON.parse(str);
-
-        if (state.name !== this.getName()) {
-        	throw new Error("name mismatch: '" + state.name + "' does not equal '" + this.getName() + "'");
-        }
-
-        this._name = state.name;
-        this._roles = state.roles;
-        this._account = state.account;
-        this._affiliation = state.affiliation;
-        this._enrollmentSecret = state.enrollmentSecret;
-        this._enrollment = state.enrollment;
+        this._setState(upgradeState(parseState(str, this._keyValStoreName), this._keyValStoreName));
     },
 
     /**
@@ -400,21 +729,179 @@ var Member = api.Member.extend({
      * @return {string} The state of this member as a string
      */
     toString() {
+        var enrollment = null;
+        if (this._enrollment) {
+            enrollment = {
+                key: this._enrollment.key,
+                cert: this._enrollment.cert,
+                chainKey: this._enrollment.chainKey
+            };
+            if (this._enrollment.queryStateKey) {
+                enrollment.queryStateKey = new Buffer(this._enrollment.queryStateKey).toString('hex');
+            }
+        }
+
         var state = {
+            version: STATE_VERSION,
             name: this._name,
             roles: this._roles,
             account: this._account,
             affiliation: this._affiliation,
             enrollmentSecret: this._enrollmentSecret,
-            enrollment: this._enrollment
+            enrollment: enrollment,
+            revoked: this._revoked,
+            tlsCertificate: this._tlsCertificate
         };
 
         return JSON.stringify(state);
+    },
+
+    // Set the fields of this member from a validated state of the current version
+    _setState: function(state) {
+        if (state.name !== this.getName()) {
+        	throw new Error("name mismatch: '" + state.name + "' does not equal '" + this.getName() + "'");
+        }
+
+        this._name = state.name;
+        this._roles = state.roles;
+        this._account = state.account;
+        this._affiliation = state.affiliation;
+        this._enrollmentSecret = state.enrollmentSecret;
+        this._enrollment = state.enrollment;
+        this._revoked = !!state.revoked;
+        this._tlsCertificate = state.tlsCertificate || null;
+        if (this._enrollment && this._enrollment.queryStateKey) {
+            this._enrollment.queryStateKey = new Buffer(this._enrollment.queryStateKey, 'hex');
+        }
     }
 });
 
 function toKeyValueStoreName(name) {
-    return "member." + name;
+    return MEMBER_KEY_PREFIX + name;
+}
+
+// Parse a member state, checking that it is a JSON object with a valid version
+function parseState(str, keyName) {
+    var state;
+    try {
+        state = JSON.parse(str);
+    } catch (err) {
+        throw newStateError(keyName, "it is not valid JSON: " + err.message);
+    }
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw newStateError(keyName, "it is not a JSON object");
+    }
+
+    var version = state.version === undefined ? 0 : state.version;
+    if (!Number.isInteger(version) || version < 0) {
+        throw newStateError(keyName, util.format("version %j is not a valid version", state.version));
+    }
+    if (version > STATE_VERSION) {
+        throw newStateError(keyName, util.format("version %d is newer than the supported version %d", version, STATE_VERSION));
+    }
+    return state;
+}
+
+// Apply the migrations from the version of a parsed state to the current version, and check
+// the shape of the result
+function upgradeState(state, keyName) {
+    for (var version = state.version || 0; version < STATE_VERSION; version++) {
+        state = STATE_MIGRATIONS[version](state);
+        state.version = version + 1;
+    }
+
+    var problem = checkState(state);
+    if (problem) {
+        throw newStateError(keyName, problem);
+    }
+    return state;
+}
+
+// Return a description of the first problem with the shape of a member state, if any
+function checkState(state) {
+    if (typeof state.name !== 'string' || !state.name) return "name must be a non-empty string";
+    if (!isOptional(state.roles, 'array')) return "roles must be an array of strings";
+    if (state.roles && !state.roles.every(function(role) { return typeof role === 'string'; })) {
+        return "roles must be an array of strings";
+    }
+    var strings = ['account', 'affiliation', 'enrollmentSecret'];
+    for (var i = 0; i < strings.length; i++) {
+        if (!isOptional(state[strings[i]], 'string')) return strings[i] + " must be a string";
+    }
+
+    if (!isOptional(state.revoked, 'boolean')) return "revoked must be a boolean";
+
+    var tlsCertificate = state.tlsCertificate;
+    if (!isOptional(tlsCertificate, 'object')) return "tlsCertificate must be an object";
+    if (tlsCertificate) {
+        var pems = ['key', 'cert', 'rootCert'];
+        for (var k = 0; k < pems.length; k++) {
+            if (typeof tlsCertificate[pems[k]] !== 'string' || tlsCertificate[pems[k]].indexOf("-----BEGIN ") < 0) {
+                return "tlsCertificate." + pems[k] + " must be a PEM string";
+            }
+        }
+    }
+
+    var enrollment = state.enrollment;
+    if (!isOptional(enrollment, 'object')) return "enrollment must be an object";
+    if (enrollment) {
+        var fields = ['key', 'cert', 'chainKey'];
+        for (var j = 0; j < fields.length; j++) {
+            if (typeof enrollment[fields[j]] !== 'string' || !enrollment[fields[j]]) {
+                return "enrollment." + fields[j] + " must be a non-empty string";
+            }
+        }
+        if (!isOptional(enrollment.queryStateKey, 'string') || !/^([0-9a-f]{2})*$/i.test(enrollment.queryStateKey || "")) {
+            return "enrollment.queryStateKey must be a hex string";
+        }
+    }
+}
+
+function isOptional(value, type) {
+    if (value === undefined || value === null) return true;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+    return typeof value === type;
+}
+
+function newStateError(keyName, problem) {
+    var error = new Error(util.format("Invalid member state stored under %s: %s", keyName, problem));
+    error.name = "InvalidMemberState";
+    return error;
+}
+
+/**
+ * Convert the events of a transaction context into a promise.  The promise is resolved with
+ * the 'complete' event converted by toResult, and rejected with the 'error' event.  Errors
+ * can be told apart by their name:
+ *
+ *  "TransactionFailed" - the peer refused the transaction
+ *  "TransactionRejected" - the transaction was rejected after it was submitted, as reported by the event hub
+ *  "TransactionTimeout" - the event hub did not see the transaction committed within the chain's wait time
+ *  "NoEventHub" - the chain's event hub is not connected, so the deploy or invoke was not sent
+ *  "TransportError" - the transaction could not be sent to a peer; a failed grpc call is kept as its 'cause'
+ *
+ * @private
+ */
+function transactionPromise(tx /*TransactionContext*/, toResult /*function*/) {
+    return new Promise(function(resolve, reject) {
+        tx.on('complete', function(event) {
+            resolve(toResult(event));
+        });
+        tx.on('error', function(err) {
+            reject(err instanceof Error ? err : new Error(err));
+        });
+    });
+}
+
+// Return a unique string value for the list of attributes.
+function getAttrsKey(attrs /*string[]*/) {
+    if (!attrs) return "null";
+    var key = "[]";
+    for (var i = 0; i < attrs.length; i++) {
+       key += "," + attrs[i];
+    }
+    return key;
 }
 
 /**
@@ -476,6 +963,32 @@ TCertGetter.prototype.getNextTCert = function() {
     return promise;
 }
 
+/**
+* Get the next available transaction certificate without taking it, so that it stays
+* available to getNextTCert.
+*/
+TCertGetter.prototype.peekTCert = function() {
+    var self = this;
+
+    if (self.tcerts.length > 0) {
+        return Promise.resolve(self.tcerts[0]);
+    }
+
+    var promise = new Promise(function(resolve, reject) {
+        self.getTCertWaiters.push({
+            resolve: resolve,
+            reject: reject,
+            peek: true
+        });
+    });
+
+    if (self.shouldGetTCerts()) {
+        self.getTCerts();
+    }
+
+    return promise;
+}
+
 // Determine if we should issue a request to get more tcerts now.
 TCertGetter.prototype.shouldGetTCerts = function() {
     // Do nothing if we are already getting more tcerts
@@ -509,6 +1022,15 @@ TCertGetter.prototype.shouldGetTCerts = function() {
     return result;
 }
 
+// Remove the tcerts matching a predicate, returning the number of tcerts removed
+TCertGetter.prototype.removeTCerts = function(match) {
+    var count = this.tcerts.length;
+    this.tcerts = this.tcerts.filter(function(tcert) {
+        return !match(tcert);
+    });
+    return count - this.tcerts.length;
+}
+
 // Call member services to get more tcerts
 TCertGetter.prototype.getTCerts = function() {
     var self = this;
@@ -532,7 +1054,7 @@ TCertGetter.prototype.getTCerts = function() {
 	        // Allow waiters to proceed
 	        while (self.getTCertWaiters.length > 0 && self.tcerts.length > 0) {
 	            var waiter = self.getTCertWaiters.shift();
-	            return waiter.resolve(self.tcerts.shift());
+	            waiter.resolve(waiter.peek ? self.tcerts[0] : self.tcerts.shift());
 	        }
 	    },
 	    function(err) {
@@ -546,3 +1068,4 @@ TCertGetter.prototype.getTCerts = function() {
 }
 
 module.exports = Member;
+module.exports.MEMBER_KEY_PREFIX = MEMBER_KEY_PREFIX;
@@ -1,42 +1,78 @@
 var api = require('./api.js');
+var util = require('util');
 var utils = require('./utils');
 var jsrsa = require('jsrsasign');
 var asn1 = jsrsa.asn1;
 var X509Certificate = require('./X509Certificate.js');
+var BN = require('bn.js');
+var debug = require('debug')('hfc');
 
 var CryptoSuite = utils.getCryptoSuite();
 
 var grpc = require('grpc');
 var _caProto = grpc.load(__dirname + "/protos/ca.proto").protos;
 
+// The prefix of the name under which the CA certificates of a member services address are stored
+const CA_CERTIFICATES_KEY_PREFIX = "caCertificates.";
+// The member type names, in the order of their bits in a role mask
+const ROLE_NAMES = ['client', 'peer', 'validator', 'auditor'];
+
+// The TCert extension listing the attributes embedded in the TCert, of the form
+// "00HEAD" followed by "<name>-><position>#" for each attribute
+const TCERT_ATTRIBUTES_HEADER_OID = "1.2.3.4.5.6.9";
+// The OID of the extension of the attribute at position i is this prefix followed by 9 + i
+const TCERT_ATTRIBUTE_OID_PREFIX = "1.2.3.4.5.6.";
+const TCERT_ATTRIBUTES_HEADER_PREFIX = "00HEAD";
+// The name from which the key of an encrypted header is derived
+const TCERT_ATTRIBUTES_HEADER_NAME = "attributeHeader";
+// The bytes appended to an attribute value before it is encrypted
+const TCERT_ATTRIBUTE_PADDING = new Buffer([255, 255, 255, 255]);
+
 
 /**
  * MemberServicesImpl is the default implementation of a member services client.
  */
 var MemberServices = api.MemberServices.extend({
 
+    _ep: null, // Endpoint
     _ecaaClient: null,
     _ecapClient: null,
     _tcapClient: null,
+    _tcaaClient: null,
     _tlscapClient: null,
+    _acapClient: null,
+    _keyValStore: null, // KeyValueStore
+    _caCertificates: null, // Promise for {eca, tca, tlsca, aca}
+    _pinnedCACertificates: null, // {eca, tca, tlsca, aca}, set by the caCertificates option
     cryptoPrimitives: null,
 
     /**
      * MemberServicesImpl constructor
      * @param config The config information required by this member services implementation.
+     * @param cryptoSuite The crypto suite implementation to use.  Defaults to the one selected
+     * by the CRYPTO_SUITE environment variable, or CryptoSuite_ECDSA_SHA.
+     * @param opts The endpoint options, as described by utils.Endpoint.  The target name
+     * override defaults to "tlsca", the name in the certificate of the member services.  The
+     * caCertificates option pins the certificates of the certificate authorities, as described
+     * by getCACertificates.  It is of the form {eca, tca, tlsca, aca}, where each is a PEM
+     * encoded certificate and aca may be omitted if the attribute certificate authority is
+     * disabled.
      * @returns {MemberServices} A MemberServices object.
      */
-    constructor: function(url /*string*/, pem /*string*/) {
-        var ep = new utils.Endpoint(url,pem);
-        var options = {
-              'grpc.ssl_target_name_override' : 'tlsca',
-              'grpc.default_authority': 'tlsca'
-        };
-        this._ecaaClient = new _caProto.ECAA(ep.addr, ep.creds, options);
-        this._ecapClient = new _caProto.ECAP(ep.addr, ep.creds, options);
-        this._tcapClient = new _caProto.TCAP(ep.addr, ep.creds, options);
-        this._tlscapClient = new _caProto.TLSCAP(ep.addr, ep.creds, options);
-        this.cryptoPrimitives = new CryptoSuite();
+    constructor: function(url /*string*/, pem /*string*/, cryptoSuite, opts /*Object*/) {
+        opts = Object.assign({targetNameOverride: 'tlsca'}, opts);
+        if (opts.caCertificates) {
+            this._pinnedCACertificates = pinCACertificates(opts.caCertificates);
+        }
+        delete opts.caCertificates;
+        var ep = this._ep = new utils.Endpoint(url, pem, opts);
+        this._ecaaClient = new _caProto.ECAA(ep.addr, ep.creds, ep.options);
+        this._ecapClient = new _caProto.ECAP(ep.addr, ep.creds, ep.options);
+        this._tcapClient = new _caProto.TCAP(ep.addr, ep.creds, ep.options);
+        this._tcaaClient = new _caProto.TCAA(ep.addr, ep.creds, ep.options);
+        this._tlscapClient = new _caProto.TLSCAP(ep.addr, ep.creds, ep.options);
+        this._acapClient = new _caProto.ACAP(ep.addr, ep.creds, ep.options);
+        this.cryptoPrimitives = new (cryptoSuite || CryptoSuite)();
     },
 
     /**
@@ -127,7 +163,7 @@ var MemberServices = api.MemberServices.extend({
             ));
 
             // Send the registration request
-            self._ecaaClient.registerUser(protoReq, function (err, token) {
+            self._ecaaClient.registerUser(protoReq, self._ep.callOptions(), function (err, token) {
                 if (err) {
                     reject(err);
                 } else {
@@ -137,10 +173,56 @@ var MemberServices = api.MemberServices.extend({
         });
     },
 
+    /**
+     * List the users registered with the member services.  The member services do not report
+     * the affiliations of the users.
+     * @param {Object} req Request of the form {role}, where role is a member type name
+     * ('client', 'peer', 'validator' or 'auditor') or an array of them.  All users are listed
+     * if role is not set.
+     * @param {Member} registrar The enrolled registrar performing the request
+     * @returns Promise for an array of {enrollmentID: string, roles: string[]}, rejected if
+     * role is not a member type name
+     */
+    listUsers: function(req, registrar /*Member*/) {
+        var self = this;
+        req = req || {};
+
+        return new Promise(function(resolve, reject) {
+            if (!registrar) {
+                return reject(new Error("chain registrar is not set"));
+            }
+            if (!registrar.isEnrolled()) {
+                return reject(new Error(util.format("Registrar %s is not enrolled", registrar.getName())));
+            }
+
+            var protoReq = new _caProto.ReadUserSetReq();
+            protoReq.setReq({id: registrar.getName()});
+            protoReq.setRole(req.role ? rolesToMask([].concat(req.role)) : _caProto.Role.ALL);
+            signRequest(self.cryptoPrimitives, registrar.getEnrollment().key, protoReq);
+
+            self._ecaaClient.readUserSet(protoReq, self._ep.callOptions(), function (err, userSet) {
+                if (err) {
+                    return reject(err);
+                }
+                resolve((userSet.users || []).map(function(user) {
+                    // Roles which are not a single value of the enum are decoded as numbers
+                    var mask = typeof user.role === 'string' ? _caProto.Role[user.role] : user.role;
+                    return {
+                        enrollmentID: user.id.id,
+                        roles: maskToRoles(mask)
+                    };
+                }));
+            });
+        });
+    },
+
     /**
      * Enroll the member and return an opaque member object
      * @param req Enrollment request with the following fields: name, enrollmentSecret
-     * @returns Promise for {key,cert,chainKey}
+     * @returns Promise for {key,cert,chainKey,fetchResult}, where fetchResult is the
+     * {status, msg} of the refresh of the attributes of the member, which the ECA asks the
+     * attribute certificate authority (ACA) for during enrollment, or null if the ECA did not
+     * report one.  The status is 'SUCCESS' or 'FAILURE'.
      */
     enroll: function(req) {
         var self = this;
@@ -187,7 +269,7 @@ var MemberServices = api.MemberServices.extend({
                 });
             eCertCreateRequest.setEnc(encPubKey);
 
-            self._ecapClient.createCertificatePair(eCertCreateRequest, function (err, eCertCreateResp) {
+            self._ecapClient.createCertificatePair(eCertCreateRequest, self._ep.callOptions(), function (err, eCertCreateResp) {
                 if (err) {
                     reject(err);
                     return;
@@ -215,7 +297,7 @@ var MemberServices = api.MemberServices.extend({
                         s: new Buffer(sig.s.toString())
                     }
                 ));
-                self._ecapClient.createCertificatePair(eCertCreateRequest, function (err, eCertCreateResp) {
+                self._ecapClient.createCertificatePair(eCertCreateRequest, self._ep.callOptions(), function (err, eCertCreateResp) {
                     if (err) {
                         reject(err);
                         return;
@@ -224,12 +306,323 @@ var MemberServices = api.MemberServices.extend({
                     var enrollment = {
                         key: signingKeyPair.prvKeyObj.prvKeyHex,
                         cert: eCertCreateResp.certs.sign.toString('hex'),
-                        chainKey: eCertCreateResp.pkchain.toString('hex')
+                        chainKey: eCertCreateResp.pkchain.toString('hex'),
+                        fetchResult: toFetchResult(eCertCreateResp.fetchResult)
                     };
+                    if (enrollment.fetchResult && enrollment.fetchResult.status !== 'SUCCESS') {
+                        debug("The ECA failed to fetch the attributes of %s: %s", req.enrollmentID, enrollment.fetchResult.msg);
+                    }
                     // debug('cert:\n\n',enrollment.cert)
                     return resolve(enrollment);
                 });
             });
+        }).then(
+            function(enrollment) {
+                return self._checkIssuer(new Buffer(enrollment.cert, 'hex'), 'eca')
+                .then(
+                    function() {
+                        return enrollment;
+                    }
+                );
+            }
+        );
+    },
+
+    /**
+     * Get a TLS client certificate for a member from the TLS certificate authority, for
+     * mutual TLS connections, and save it with the state of the member.
+     * @param {Member} member The member to whom the certificate is issued
+     * @returns Promise for the TLS certificate, of the form {key, cert, rootCert}, where key
+     * is the PEM encoded private key, cert the PEM encoded certificate and rootCert the PEM
+     * encoded certificate of the TLS certificate authority, as returned by getCACertificates.
+     * For mutual TLS, pass key and cert to utils.Endpoint as the clientKey and clientCert options.
+     * Rejected if the TLS certificate authority returns no certificate, and with an Error named
+     * "UntrustedCertificate" if the certificate was not issued by the TLSCA of getCACertificates.
+     */
+    createTLSCertificate: function(member /*Member*/) {
+        var self = this;
+        var keyPair = self.cryptoPrimitives.ecdsaKeyGen();
+
+        return new Promise(function(resolve, reject) {
+            var spki = new asn1.x509.SubjectPublicKeyInfo(keyPair.pubKeyObj);
+
+            var createReq = new _caProto.TLSCertCreateReq();
+            createReq.setTs(utils.GenerateTimestamp());
+            createReq.setId({id: member.getName()});
+            createReq.setPub(new _caProto.PublicKey(
+                {
+                    type: _caProto.CryptoType.ECDSA,
+                    key: new Buffer(spki.getASN1Object().getEncodedHex(), 'hex')
+                }));
+            // The TLS certificate authority checks the signature with the submitted public key
+            signRequest(self.cryptoPrimitives, keyPair.prvKeyObj.prvKeyHex, createReq);
+
+            self._tlscapClient.createCertificate(createReq, self._ep.callOptions(), function (err, resp) {
+                if (err) {
+                    return reject(err);
+                }
+                if (!resp || !resp.cert || !resp.cert.cert) {
+                    return reject(new Error("The TLS certificate authority returned no certificate"));
+                }
+                resolve(resp.cert.cert);
+            });
+        }).then(
+            function(cert) {
+                // The root certificate of the response is not trusted: the certificate must be
+                // issued by the TLSCA known to this client
+                return self.getCACertificates()
+                .then(
+                    function(caCertificates) {
+                        var x509Certificate;
+                        try {
+                            x509Certificate = new X509Certificate(cert);
+                        } catch (ex) {
+                            throw new Error("The TLS certificate authority returned an invalid certificate: " + ex.message);
+                        }
+                        checkIssuer(x509Certificate, caCertificates, 'tlsca');
+
+                        return {
+                            key: self.cryptoPrimitives.ecdsaPrivateKeyToPKCS8PEM(keyPair.prvKeyObj.prvKeyHex),
+                            cert: utils.toPEM(cert, 'CERTIFICATE'),
+                            rootCert: utils.toPEM(caCertificates.tlsca, 'CERTIFICATE')
+                        };
+                    }
+                );
+            }
+        ).then(
+            function(tlsCertificate) {
+                return member.setTLSCertificate(tlsCertificate)
+                .then(
+                    function() {
+                        return tlsCertificate;
+                    }
+                );
+            }
+        );
+    },
+
+    /**
+     * Get the certificate of the enrollment certificate authority (ECA), which issues the ECerts.
+     * @returns Promise for the DER encoded certificate as a Buffer
+     */
+    getECACertificate: function() {
+        return this.getCACertificates()
+        .then(
+            function(caCertificates) {
+                return caCertificates.eca;
+            }
+        );
+    },
+
+    /**
+     * Get the certificates of the certificate authorities: the ECA, which issues the ECerts, the TCA,
+     * which issues the TCerts, the TLSCA and the ACA.  They are read from the member services the first
+     * time and then kept in the key value store, if one is set, so that a member services endpoint
+     * later presenting other certificate authorities is not trusted.  This is trust on first use:
+     * whatever answers first is trusted, so that first connection should be made over TLS to the
+     * genuine member services.  To trust known certificates instead, pin them with the
+     * caCertificates option of the constructor, or the caCertificates of the memberServices of a
+     * configuration file.  Pinned certificates are never read from the member services nor stored.
+     * @returns Promise for an object of the form {eca, tca, tlsca, aca}, where each is a DER encoded
+     * certificate as a Buffer, and aca is null if the attribute certificate authority is disabled
+     */
+    getCACertificates: function() {
+        var self = this;
+
+        if (!self._caCertificates) {
+            self._caCertificates = self._loadCACertificates();
+            // Let a later call retry, for example once the member services are reachable
+            self._caCertificates.catch(function() {
+                self._caCertificates = null;
+            });
+        }
+
+        return self._caCertificates;
+    },
+
+    /**
+     * Set the key value store in which the certificates of the certificate authorities are kept.
+     * Chain keeps it in sync with its own key value store.
+     * @param {KeyValueStore} keyValStore The key value store
+     */
+    setKeyValueStore: function(keyValStore /*KeyValueStore*/) {
+        this._keyValStore = keyValStore;
+    },
+
+    // Read the CA certificates from the key value store, or else from the member services,
+    // unless they are pinned
+    _loadCACertificates: function() {
+        var self = this;
+        if (self._pinnedCACertificates) {
+            return Promise.resolve(self._pinnedCACertificates);
+        }
+        var keyValStore = self._keyValStore;
+        var name = CA_CERTIFICATES_KEY_PREFIX + self._ep.addr;
+
+        var stored = keyValStore ? keyValStore.getValue(name) : Promise.resolve(null);
+        return stored.then(
+            function(value) {
+                if (value) {
+                    return decodeCACertificates(JSON.parse(value));
+                }
+
+                return Promise.all([
+                    readCACertificate(self._ecapClient, self._ep),
+                    readCACertificate(self._tcapClient, self._ep),
+                    readCACertificate(self._tlscapClient, self._ep),
+                    readCACertificate(self._acapClient, self._ep).catch(function(err) {
+                        if (err.code !== grpc.status.UNIMPLEMENTED) throw err;
+                        return null;
+                    })
+                ]).then(
+                    function(certs) {
+                        var caCertificates = {eca: certs[0], tca: certs[1], tlsca: certs[2], aca: certs[3]};
+                        if (!keyValStore) return caCertificates;
+
+                        return keyValStore.setValue(name, JSON.stringify(encodeCACertificates(caCertificates)))
+                        .then(
+                            function() {
+                                return caCertificates;
+                            }
+                        );
+                    }
+                );
+            }
+        );
+    },
+
+    // Check that a certificate was issued by one of the certificate authorities
+    _checkIssuer: function(cert /*Buffer*/, ca /*string*/) {
+        return this.getCACertificates()
+        .then(
+            function(caCertificates) {
+                checkIssuer(new X509Certificate(cert), caCertificates, ca);
+            }
+        );
+    },
+
+    /**
+     * Revoke the ECert of an enrolled member, as that member.
+     * @param {Member} member The member whose ECert is revoked
+     * @returns Promise for a "true" value once the ECert is revoked
+     */
+    revokeECert: function(member /*Member*/) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (!member.isEnrolled()) {
+                return reject(new Error(util.format("Member %s is not enrolled", member.getName())));
+            }
+
+            var revokeReq = new _caProto.ECertRevokeReq();
+            revokeReq.setId({id: member.getName()});
+            revokeReq.setCert({cert: new Buffer(member.getEnrollment().cert, 'hex')});
+            signRequest(self.cryptoPrimitives, member.getEnrollment().key, revokeReq);
+
+            self._ecapClient.revokeCertificatePair(revokeReq, self._ep.callOptions(), function (err, status) {
+                if (err) {
+                    return reject(err);
+                }
+                resolveStatus(status, util.format("Revocation of the ECert of %s", member.getName()), resolve, reject);
+            });
+        });
+    },
+
+    /**
+     * Revoke the ECert of any member, as an administrator.
+     * @param {string} enrollmentID The enrollment ID of the member whose ECert is revoked
+     * @param {Member} registrar The enrolled administrator performing the revocation
+     * @returns Promise for a "true" value once the ECert is revoked
+     */
+    revokeECertAsAdmin: function(enrollmentID /*string*/, registrar /*Member*/) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (!registrar) {
+                return reject(new Error("chain registrar is not set"));
+            }
+            if (!registrar.isEnrolled()) {
+                return reject(new Error(util.format("Registrar %s is not enrolled", registrar.getName())));
+            }
+
+            // Read the ECert to revoke
+            self._ecapClient.readCertificatePair({id: {id: enrollmentID}}, self._ep.callOptions(), function (err, certPair) {
+                if (err) {
+                    return reject(err);
+                }
+
+                var revokeReq = new _caProto.ECertRevokeReq();
+                revokeReq.setId({id: registrar.getName()});
+                revokeReq.setCert({cert: certPair.sign});
+                signRequest(self.cryptoPrimitives, registrar.getEnrollment().key, revokeReq);
+
+                self._ecaaClient.revokeCertificate(revokeReq, self._ep.callOptions(), function (err, status) {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolveStatus(status, util.format("Revocation of the ECert of %s", enrollmentID), resolve, reject);
+                });
+            });
+        });
+    },
+
+    /**
+     * Revoke a TCert of an enrolled member, as that member.  The TCert is first removed from
+     * the TCerts kept for the transactions of the member.
+     * @param {Member} member The member who owns the TCert
+     * @param {TCert} tcert The TCert to revoke
+     * @returns Promise for a "true" value once the TCert is revoked
+     */
+    revokeTCert: function(member /*Member*/, tcert /*TCert*/) {
+        member.removeTCerts(matchTCert(tcert));
+        return this._revokeTCert(this._tcapClient, member, tcert);
+    },
+
+    /**
+     * Revoke any TCert, as an administrator.  The TCert is first removed from the TCerts kept
+     * by the members of the chain of the registrar.
+     * @param {TCert} tcert The TCert to revoke
+     * @param {Member} registrar The enrolled administrator performing the revocation
+     * @returns Promise for a "true" value once the TCert is revoked
+     */
+    revokeTCertAsAdmin: function(tcert /*TCert*/, registrar /*Member*/) {
+        if (!registrar) {
+            return Promise.reject(new Error("chain registrar is not set"));
+        }
+        registrar.getChain().removeTCerts(matchTCert(tcert));
+        return this._revokeTCert(this._tcaaClient, registrar, tcert);
+    },
+
+    /**
+     * Revoke a batch of TCerts of an enrolled member, as that member.  The TCerts of the batch
+     * are first removed from the TCerts kept for the transactions of the member.
+     * @param {Member} member The member who owns the TCerts
+     * @param timestamp The timestamp of the batch, as found in the batchTimestamp of its TCerts
+     * @returns Promise for a "true" value once the TCerts are revoked
+     */
+    revokeTCertBatch: function(member /*Member*/, timestamp) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (!member.isEnrolled()) {
+                return reject(new Error(util.format("Member %s is not enrolled", member.getName())));
+            }
+
+            member.removeTCerts(function(t) {
+                return t.batchTimestamp === timestamp;
+            });
+
+            var revokeReq = new _caProto.TCertRevokeSetReq();
+            revokeReq.setId({id: member.getName()});
+            revokeReq.setTs(timestamp);
+            signRequest(self.cryptoPrimitives, member.getEnrollment().key, revokeReq);
+
+            self._tcapClient.revokeCertificateSet(revokeReq, self._ep.callOptions(), function (err, status) {
+                if (err) {
+                    return reject(err);
+                }
+                resolveStatus(status, util.format("Revocation of a TCert batch of %s", member.getName()), resolve, reject);
+            });
         });
     },
 
@@ -276,20 +669,59 @@ var MemberServices = api.MemberServices.extend({
             ));
 
             // send the request
-            self._tcapClient.createCertificateSet(tCertCreateSetReq, function (err, resp) {
+            self._tcapClient.createCertificateSet(tCertCreateSetReq, self._ep.callOptions(), function (err, resp) {
                 if (err) {
                     reject(err);
                 } else {
-                    return resolve(self._processTCertBatch(req, resp));
+                    resolve(resp);
+                }
+            });
+        }).then(
+            function(resp) {
+                return self.getCACertificates()
+                .then(
+                    function(caCertificates) {
+                        var tcerts = self._processTCertBatch(req, resp, caCertificates);
+                        // Identify the batch, to revoke it with revokeTCertBatch
+                        tcerts.forEach(function(tcert) {
+                            tcert.batchTimestamp = timestamp;
+                        });
+                        return tcerts;
+                    }
+                );
+            }
+        );
+    },
+
+    // Revoke a TCert through a TCAP or TCAA client, signing the request as signer
+    _revokeTCert: function(client, signer /*Member*/, tcert /*TCert*/) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            if (!signer.isEnrolled()) {
+                return reject(new Error(util.format("Member %s is not enrolled", signer.getName())));
+            }
+
+            var revokeReq = new _caProto.TCertRevokeReq();
+            revokeReq.setId({id: signer.getName()});
+            revokeReq.setCert({cert: tcert.publicKey});
+            signRequest(self.cryptoPrimitives, signer.getEnrollment().key, revokeReq);
+
+            client.revokeCertificate(revokeReq, self._ep.callOptions(), function (err, status) {
+                if (err) {
+                    return reject(err);
                 }
+                resolveStatus(status, "Revocation of a TCert", resolve, reject);
             });
         });
     },
 
     /**
      * Process a batch of tcerts after having retrieved them from the TCA.
+     * @param caCertificates The certificates of the certificate authorities, as returned by
+     * getCACertificates.  A batch with a TCert not issued by the TCA is rejected.
      */
-    _processTCertBatch: function(req, resp) {
+    _processTCertBatch: function(req, resp, caCertificates) {
         //
         // Derive secret keys for TCerts
         //
@@ -317,10 +749,11 @@ var MemberServices = api.MemberServices.extend({
             } catch (ex) {
                 continue
             }
+            checkIssuer(x509Certificate, caCertificates, 'tca');
 
             // debug("HERE2: got x509 cert");
             // extract the encrypted bytes from extension attribute
-            var tCertIndexCT = x509Certificate.criticalExtension(crypto.TCertEncTCertIndex);
+            var tCertIndexCT = x509Certificate.criticalExtension(this.cryptoPrimitives.TCertEncTCertIndex);
             // debug('tCertIndexCT: ',JSON.stringify(tCertIndexCT));
             var tCertIndex = this.cryptoPrimitives.aesCBCPKCS7Decrypt(tCertOwnerEncryptKey, tCertIndexCT);
             // debug('tCertIndex: ',JSON.stringify(tCertIndex));
@@ -339,7 +772,16 @@ var MemberServices = api.MemberServices.extend({
             D = D.mod(this.cryptoPrimitives.ecdsaKeyFromPublic(pubHex, 'hex').ec.curve.n);
 
             // Put private and public key in returned tcert
-            var tcert = new TCert(tCert.cert, this.cryptoPrimitives.ecdsaKeyFromPrivate(D, 'hex'));
+            var tcert = new api.TCert(tCert.cert, this.cryptoPrimitives.ecdsaKeyFromPrivate(D, 'hex'));
+            if (req.attrs && req.attrs.length > 0) {
+                // A TCert whose attributes header cannot be read is left out of the batch
+                try {
+                    readTCertAttributes(this.cryptoPrimitives, x509Certificate, tCert.prek0, tcert);
+                } catch (err) {
+                    debug("Skipping a TCert whose attributes cannot be read: %s", err.message);
+                    continue;
+                }
+            }
             tCertBatch.push(tcert);
         }
 
@@ -353,7 +795,61 @@ var MemberServices = api.MemberServices.extend({
 
 });
 
-// Convert a list of member type names to the role mask currently used by the peer
+// Read the certificate of a certificate authority through its client
+function readCACertificate(client, ep /*Endpoint*/) {
+    return new Promise(function(resolve, reject) {
+        client.readCACertificate(new _caProto.Empty(), ep.callOptions(), function (err, resp) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(resp.cert);
+            }
+        });
+    });
+}
+
+// Throw an Error named "UntrustedCertificate" unless a certificate was issued by a certificate authority
+function checkIssuer(cert /*X509Certificate*/, caCertificates, ca /*string*/) {
+    if (!cert.isIssuedBy(new X509Certificate(caCertificates[ca]))) {
+        var error = new Error(util.format("The certificate was not issued by the %s of the member services", ca.toUpperCase()));
+        error.name = "UntrustedCertificate";
+        throw error;
+    }
+}
+
+// Convert the PEM encoded CA certificates of the caCertificates option to DER encoded Buffers
+function pinCACertificates(pems) {
+    var caCertificates = {aca: null};
+    ['eca', 'tca', 'tlsca', 'aca'].forEach(function(ca) {
+        if (!pems[ca] && ca === 'aca') return;
+        try {
+            caCertificates[ca] = utils.fromPEM(pems[ca], 'CERTIFICATE');
+        } catch (err) {
+            throw new Error(util.format("caCertificates.%s must be a PEM encoded certificate", ca));
+        }
+    });
+    return caCertificates;
+}
+
+// Convert the CA certificates to and from the hex encoded form kept in the key value store
+function encodeCACertificates(caCertificates) {
+    var encoded = {};
+    Object.keys(caCertificates).forEach(function(ca) {
+        encoded[ca] = caCertificates[ca] ? caCertificates[ca].toString('hex') : null;
+    });
+    return encoded;
+}
+
+function decodeCACertificates(encoded) {
+    var caCertificates = {};
+    Object.keys(encoded).forEach(function(ca) {
+        caCertificates[ca] = encoded[ca] ? new Buffer(encoded[ca], 'hex') : null;
+    });
+    return caCertificates;
+}
+
+// Convert a list of member type names to the role mask currently used by the peer, throwing
+// an Error for a name which is not a member type
 function rolesToMask(roles /*string[]*/) {
     var mask = 0;
 
@@ -372,6 +868,8 @@ function rolesToMask(roles /*string[]*/) {
                 case 'auditor':
                     mask |= 8;
                     break;    // Auditor mask
+                default:
+                    throw new Error(util.format("Unknown role '%s': the roles are 'client', 'peer', 'validator' and 'auditor'", roles[role]));
             }
         }
     }
@@ -381,6 +879,109 @@ function rolesToMask(roles /*string[]*/) {
     return mask;
 }
 
+// Read the attributes embedded in a TCert by the TCA into the attributes of the TCert,
+// decrypting them with keys derived from the preK0 of the TCert if the header is encrypted.
+// An attribute which cannot be read is kept in the attributeErrors of the TCert instead, and
+// an Error is thrown if the header cannot be read.
+function readTCertAttributes(cryptoPrimitives, x509Certificate /*X509Certificate*/, preK0 /*Buffer*/, tcert /*TCert*/) {
+    var header = x509Certificate.extension(TCERT_ATTRIBUTES_HEADER_OID);
+    if (!header) {
+        return;
+    }
+    var encrypted = header.toString().indexOf(TCERT_ATTRIBUTES_HEADER_PREFIX) !== 0;
+    var decrypt = function(name, value) {
+        if (!encrypted) {
+            return value;
+        }
+        if (!preK0 || preK0.length === 0) {
+            throw new Error("The TCA returned no key to decrypt the attributes of the TCert");
+        }
+        return decryptTCertAttribute(cryptoPrimitives, preK0, name, value);
+    };
+
+    var headerStr = decrypt(TCERT_ATTRIBUTES_HEADER_NAME, header).toString();
+    if (headerStr.indexOf(TCERT_ATTRIBUTES_HEADER_PREFIX) !== 0) {
+        throw new Error("Invalid attributes header in the TCert");
+    }
+    headerStr.substring(TCERT_ATTRIBUTES_HEADER_PREFIX.length).split("#").forEach(function(entry) {
+        var pair = entry.split("->");
+        if (pair.length !== 2) return;
+
+        var oid = TCERT_ATTRIBUTE_OID_PREFIX + (9 + parseInt(pair[1], 10));
+        var value = x509Certificate.extension(oid);
+        if (!value) {
+            tcert.attributeErrors[pair[0]] = new Error(util.format("The TCert has no extension %s for the attribute %s", oid, pair[0]));
+            return;
+        }
+        try {
+            tcert.attributes[pair[0]] = decrypt(pair[0], value);
+        } catch (err) {
+            tcert.attributeErrors[pair[0]] = err;
+        }
+    });
+}
+
+// Decrypt an attribute value with the key derived from preK0 and the attribute name
+function decryptTCertAttribute(cryptoPrimitives, preK0 /*Buffer*/, name /*string*/, value /*Buffer*/) {
+    var key = cryptoPrimitives.hmacAESTruncated(preK0, new Buffer(name));
+    var padded = new Buffer(cryptoPrimitives.aesCBCPKCS7Decrypt(key, value));
+    var length = padded.length - TCERT_ATTRIBUTE_PADDING.length;
+
+    if (length < 0 || !padded.slice(length).equals(TCERT_ATTRIBUTE_PADDING)) {
+        throw new Error(util.format("Failed to decrypt the attribute %s of the TCert", name));
+    }
+    return padded.slice(0, length);
+}
+
+// Convert a role mask to the list of member type names
+function maskToRoles(mask /*number*/) {
+    return ROLE_NAMES.filter(function(role, i) {
+        return (mask & (1 << i)) !== 0;
+    });
+}
+
+// Sign a request with a private key given as hex.  The signature covers the request
+// serialized without its signature.
+function signRequest(cryptoPrimitives, keyHex /*string*/, protoReq) {
+    protoReq.setSig(null);
+    var signKey = cryptoPrimitives.ecdsaKeyFromPrivate(keyHex, 'hex');
+    var sig = cryptoPrimitives.ecdsaSign(signKey, protoReq.toBuffer());
+    protoReq.setSig(new _caProto.Signature(
+        {
+            type: _caProto.CryptoType.ECDSA,
+            r: new Buffer(sig.r.toString()),
+            s: new Buffer(sig.s.toString())
+        }
+    ));
+}
+
+// Convert the FetchAttrsResult of an ECertCreateResp to {status, msg}, or null if there is none
+function toFetchResult(fetchResult) {
+    if (!fetchResult) {
+        return null;
+    }
+    // A status which is not a value of the enum is decoded as a number
+    var status = typeof fetchResult.status === 'string' ? fetchResult.status : 'FAILURE';
+    return {status: status, msg: fetchResult.Msg || ""};
+}
+
+// A predicate matching the TCerts with the public key of a TCert
+function matchTCert(tcert) {
+    return function(t) {
+        return t.publicKey.equals(tcert.publicKey);
+    };
+}
+
+// Resolve with true if a CAStatus is OK, or reject with an Error named "CAStatusError"
+function resolveStatus(status, operation /*string*/, resolve, reject) {
+    if (status && status.status === 'OK') {
+        return resolve(true);
+    }
+    var error = new Error(util.format("%s failed with status %s", operation, status ? status.status : "unknown"));
+    error.name = "CAStatusError";
+    reject(error);
+}
+
 module.exports = MemberServices;
 
 
@@ -0,0 +1,141 @@
+var api = require('./api.js');
+var util = require('util');
+
+/**
+ * A KeyValueStore keeping the values in memory, for tests and ephemeral workers.
+ * The values are lost when the process exits.  Like FileKeyValueStore, each value
+ * carries a version number to detect concurrent updates: see setValue.  The version of a
+ * deleted value is kept, so that it keeps increasing when the value is set again.
+ */
+var MemoryKeyValueStore = api.KeyValueStore.extend({
+
+    _entries: {}, // {[name:string]: {value, version}}, where value is null once deleted
+    _queue: null, // Promise for the completion of the last update
+
+    constructor: function() {
+        this._entries = {};
+        this._queue = Promise.resolve();
+    },
+
+    /**
+     * Get the value associated with name.
+     * @param name
+     * @returns Promise for the value, or null if there is none
+     */
+    getValue: function(name /*string*/) {
+        return this.getValueWithVersion(name)
+        .then(
+            function(entry) {
+                return entry.value;
+            }
+        );
+    },
+
+    /**
+     * Get the value associated with name together with its version.
+     * @param name
+     * @returns Promise for an object of the form {value, version}, where value is null if there
+     * is no value, and version is 0 if no value was ever stored
+     */
+    getValueWithVersion: function(name /*string*/) {
+        var entry = this._entries[name] || {value: null, version: 0};
+
+        return Promise.resolve({value: entry.value, version: entry.version});
+    },
+
+    /**
+     * Set the value associated with name.
+     * @param name
+     * @param value
+     * @param {number} expectedVersion If set, the value is only written if the stored value still has
+     * this version.  Otherwise the promise is rejected with an Error named "VersionConflict".
+     * @returns Promise for a "true" value on successful completion
+     */
+    setValue: function(name /*string*/, value /*string*/, expectedVersion /*number*/) {
+        var version = this._entries[name] ? this._entries[name].version : 0;
+
+        if (expectedVersion !== undefined && version !== expectedVersion) {
+            var error = new Error(util.format("The value of %s was updated concurrently: expected version %d but found %d",
+                name, expectedVersion, version));
+            error.name = "VersionConflict";
+            return Promise.reject(error);
+        }
+
+        this._entries[name] = {value: value, version: version + 1};
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Read, modify and write the value associated with name.  Updates run one at a time.
+     * @param name
+     * @param {function} modify A function of the form function(value), returning the new value or
+     * a promise for it.  The value is null if none is stored.
+     * @returns Promise for the new value, rejected with a "VersionConflict" Error if the value
+     * was set by setValue while modify was pending
+     */
+    update: function(name /*string*/, modify) {
+        var self = this;
+
+        var result = self._queue.then(function() {
+            return self.getValueWithVersion(name);
+        }).then(
+            function(current) {
+                return Promise.resolve(modify(current.value))
+                .then(
+                    function(value) {
+                        return self.setValue(name, value, current.version)
+                        .then(
+                            function() {
+                                return value;
+                            }
+                        );
+                    }
+                );
+            }
+        );
+        self._queue = result.catch(function() {});
+
+        return result;
+    },
+
+    /**
+     * Delete the value associated with name.  Its version is kept and incremented, so that an
+     * update based on the deleted value is detected and a value set again gets a new version.
+     * @param name
+     * @returns Promise for true if the value was deleted, or false if there was none
+     */
+    deleteValue: function(name /*string*/) {
+        if (!this._has(name)) return Promise.resolve(false);
+
+        this._entries[name] = {value: null, version: this._entries[name].version + 1};
+        return Promise.resolve(true);
+    },
+
+    /**
+     * List the names of the stored values.
+     * @param prefix If set, only the names starting with prefix are listed
+     * @returns Promise for the array of names
+     */
+    listKeys: function(prefix /*string*/) {
+        var self = this;
+
+        return Promise.resolve(Object.keys(self._entries).filter(function(name) {
+            return self._has(name) && (!prefix || name.indexOf(prefix) === 0);
+        }));
+    },
+
+    /**
+     * Determine if a value is associated with name.
+     * @param name
+     * @returns Promise for true if a value is stored under name
+     */
+    hasValue: function(name /*string*/) {
+        return Promise.resolve(this._has(name));
+    },
+
+    _has: function(name) {
+        return this._entries.hasOwnProperty(name) && this._entries[name].value !== null;
+    }
+});
+
+module.exports = MemoryKeyValueStore;
@@ -3,6 +3,7 @@ var utils = require('./utils.js');
 var grpc = require('grpc');
 
 var _fabricProto = grpc.load(__dirname + "/protos/fabric.proto").protos;
+var _apiProto = grpc.load(__dirname + "/protos/api.proto").protos;
 
 /**
  * The Peer class represents a peer to which HFC sends deploy, invoke, or query requests.
@@ -13,6 +14,7 @@ var Peer = api.Peer.extend({
     _chain: null, //Chain
     _ep: null, // Endpoint
     _peerClient: null,
+    _openchainClient: null,
 
     /**
      * Constructs a Peer given its endpoint configuration settings
@@ -22,13 +24,16 @@ var Peer = api.Peer.extend({
      * @param {string} pem The certificate file, in PEM format,
      * to use with the gRPC protocol (that is, with TransportCredentials).
      * Required when using the grpcs protocol.
+     * @param {Object} opts The endpoint options, such as the client key and certificate required
+     * by peers using mutual TLS, as described by utils.Endpoint.
      * @returns {Peer} The new peer.
      */
-    constructor: function(url, chain, pem) {
+    constructor: function(url, chain, pem, opts) {
         this._url = url;
         this._chain = chain;
-        this._ep = new utils.Endpoint(url,pem);
-        this._peerClient = new _fabricProto.Peer(this._ep.addr, this._ep.creds);
+        this._ep = new utils.Endpoint(url, pem, opts);
+        this._peerClient = new _fabricProto.Peer(this._ep.addr, this._ep.creds, this._ep.options);
+        this._openchainClient = new _apiProto.Openchain(this._ep.addr, this._ep.creds, this._ep.options);
     },
 
     /**
@@ -47,32 +52,132 @@ var Peer = api.Peer.extend({
         return this._url;
     },
 
+    /**
+     * Get information about the blockchain ledger of this peer.
+     * @returns Promise for an object of the form {height, currentBlockHash, previousBlockHash},
+     * where height is a number.
+     */
+    getBlockchainInfo: function() {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._openchainClient.getBlockchainInfo({}, self._ep.callOptions(), function(err, info) {
+                if (err) {
+                    return reject(newTransportError(err));
+                }
+
+                info.height = Number(info.height);
+                return resolve(info);
+            });
+        });
+    },
+
+    /**
+     * Get a block of the blockchain ledger of this peer.
+     * @param {number} number The number of the block.  The genesis block is block zero.
+     * @returns Promise for the Block, including its transactions
+     */
+    getBlockByNumber: function(number) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._openchainClient.getBlockByNumber({number: number}, self._ep.callOptions(), function(err, block) {
+                if (err) {
+                    return reject(newTransportError(err));
+                }
+
+                block.transactions = block.transactions || [];
+                return resolve(block);
+            });
+        });
+    },
+
+    /**
+     * Get the number of blocks in the blockchain ledger of this peer.
+     * @returns Promise for the block count as a number
+     */
+    getBlockCount: function() {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._openchainClient.getBlockCount({}, self._ep.callOptions(), function(err, blockCount) {
+                if (err) {
+                    return reject(newTransportError(err));
+                }
+
+                return resolve(Number(blockCount.count));
+            });
+        });
+    },
+
+    /**
+     * Get the peer nodes currently connected to this peer.
+     * @returns Promise for an array of PeerEndpoint objects
+     */
+    getNetworkPeers: function() {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._openchainClient.getPeers({}, self._ep.callOptions(), function(err, peersMessage) {
+                if (err) {
+                    return reject(newTransportError(err));
+                }
+
+                return resolve(peersMessage.peers || []);
+            });
+        });
+    },
+
     /**
      * Send a transaction to this peer.
+     * Deploy and invoke transactions emit 'submitted' once the peer accepts them, and 'complete' only
+     * once the chain's event hub sees the transaction in a committed block; a rejected transaction
+     * emits 'error', and so does one that is not committed within the chain's deploy or invoke wait
+     * time, with an error named "TransactionTimeout".  Their commit cannot be confirmed without the
+     * event hub, so if it is not connected they are not sent and emit an error named "NoEventHub".
      * @param tx A transaction
      * @param eventEmitter The event emitter
      */
     sendTransaction: function(tx, eventEmitter) {
         var self = this;
 
+        var txType = tx.pb.getType();
+
+        if ((txType == _fabricProto.Transaction.Type.CHAINCODE_DEPLOY ||
+                txType == _fabricProto.Transaction.Type.CHAINCODE_INVOKE) &&
+                !self._chain.getEventHub().isConnected()) {
+            var error = new Error("The event hub is not connected, so the commit of the transaction cannot be confirmed; connect it with Chain.eventHubConnect");
+            error.name = "NoEventHub";
+            return eventEmitter.emit('error', error);
+        }
+
+        // Start listening for the commit before sending, so a fast commit cannot be missed
+        var commit;
+        if (txType == _fabricProto.Transaction.Type.CHAINCODE_DEPLOY) {
+            commit = self._waitForCommit(tx.pb.getTxid(), self._chain.getDeployWaitTime());
+        } else if (txType == _fabricProto.Transaction.Type.CHAINCODE_INVOKE) {
+            commit = self._waitForCommit(tx.pb.getTxid(), self._chain.getInvokeWaitTime());
+        }
+
         // Send the transaction to the peer node via grpc
         // The rpc specification on the peer side is:
         //     rpc ProcessTransaction(Transaction) returns (Response) {}
-        self._peerClient.processTransaction(tx.pb, function (err, response) {
+        self._peerClient.processTransaction(tx.pb, self._ep.callOptions(), function (err, response) {
             if (err) {
-                return eventEmitter.emit('error', new Error(err));
+                if (commit) commit.cancel();
+                return eventEmitter.emit('error', newTransportError(err));
             }
 
             // Check transaction type here, as invoke is an asynchronous call,
             // whereas a deploy and a query are synchonous calls. As such,
             // invoke will emit 'submitted' and 'error', while a deploy/query
             // will emit 'complete' and 'error'.
-            var txType = tx.pb.getType();
             switch (txType) {
                case _fabricProto.Transaction.Type.CHAINCODE_DEPLOY: // async
                   if (response.status === "SUCCESS") {
-                     // Deploy transaction has been completed
+                     // Deploy transaction has been submitted
                      if (!response.msg || response.msg === "") {
+                        commit.cancel();
                         eventEmitter.emit("error", new Error("the deploy response is missing the transaction UUID"));
                      } else {
                         var event = {
@@ -81,25 +186,30 @@ var Peer = api.Peer.extend({
                         };
 
                         eventEmitter.emit("submitted", event);
-                        self._waitForDeployComplete(eventEmitter,event);
+                        self._emitOnCommit(commit, eventEmitter, event);
                      }
                   } else {
                      // Deploy completed with status "FAILURE" or "UNDEFINED"
-                     eventEmitter.emit("error", new Error(response));
+                     commit.cancel();
+                     eventEmitter.emit("error", newResponseError(response));
                   }
                   break;
                case _fabricProto.Transaction.Type.CHAINCODE_INVOKE: // async
                   if (response.status === "SUCCESS") {
                      // Invoke transaction has been submitted
                      if (!response.msg || response.msg === "") {
+                        commit.cancel();
                         eventEmitter.emit("error", new Error("the invoke response is missing the transaction UUID"));
                      } else {
-                        eventEmitter.emit("submitted", {uuid: response.msg.toString()});
-                        self._waitForInvokeComplete(eventEmitter);
+                        var event = {uuid: response.msg.toString()};
+
+                        eventEmitter.emit("submitted", event);
+                        self._emitOnCommit(commit, eventEmitter, event);
                      }
                   } else {
                      // Invoke completed with status "FAILURE" or "UNDEFINED"
-                     eventEmitter.emit("error", new Error(response));
+                     commit.cancel();
+                     eventEmitter.emit("error", newResponseError(response));
                   }
                   break;
                case _fabricProto.Transaction.Type.CHAINCODE_QUERY: // sync
@@ -108,7 +218,7 @@ var Peer = api.Peer.extend({
                      eventEmitter.emit("complete", {result: response.msg});
                   } else {
                      // Query completed with status "FAILURE" or "UNDEFINED"
-                     eventEmitter.emit("error", new Error(response));
+                     eventEmitter.emit("error", newResponseError(response));
                   }
                   break;
                default: // not implemented
@@ -118,41 +228,78 @@ var Peer = api.Peer.extend({
     },
 
     /**
-     * TODO: Temporary hack to wait until the deploy event has hopefully completed.
-     * This does not detect if an error occurs in the peer or chaincode when deploying.
-     * When peer event listening is added to the SDK, this will be implemented correctly.
+     * Wait for a transaction to be committed, as reported by the chain's event hub.
+     * @param {string} txid The ID of the transaction
+     * @param {number} waitTime The number of seconds after which to give up
+     * @returns An object of the form {promise, cancel}, where the promise is resolved with
+     * a message describing the outcome, and cancel() stops waiting without settling the promise.
      */
-    _waitForDeployComplete(eventEmitter, submitted) {
-        var waitTime = this.chain.getDeployWaitTime();
-
-        setTimeout(
-           function() {
-              var event = {
-                  uuid: submitted.uuid,
-                  chaincodeID: submitted.chaincodeID
-              };
-
-              eventEmitter.emit("complete",event);
-           },
-           waitTime * 1000
-        );
+    _waitForCommit: function(txid, waitTime) {
+        var eventHub = this._chain.getEventHub();
+        var timer;
+
+        var promise = new Promise(function(resolve, reject) {
+            eventHub.registerTxEvent(txid, function(err, tx) {
+                clearTimeout(timer);
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve("transaction " + txid + " was committed");
+                }
+            });
+
+            timer = setTimeout(
+                function() {
+                    eventHub.unregisterTxEvent(txid);
+
+                    var error = new Error("Transaction " + txid + " was not committed within " + waitTime + " seconds");
+                    error.name = "TransactionTimeout";
+                    reject(error);
+                },
+                waitTime * 1000
+            );
+        });
+        // The outcome is reported through _emitOnCommit unless the wait is cancelled
+        promise.catch(function() {});
+
+        return {
+            promise: promise,
+            cancel: function() {
+                clearTimeout(timer);
+                eventHub.unregisterTxEvent(txid);
+            }
+        };
     },
 
-    /**
-     * TODO: Temporary hack to wait until the deploy event has hopefully completed.
-     * This does not detect if an error occurs in the peer or chaincode when deploying.
-     * When peer event listening is added to the SDK, this will be implemented correctly.
-     */
-    _waitForInvokeComplete(eventEmitter) {
-        var waitTime = this.chain.getInvokeWaitTime();
-
-        setTimeout(
-           function() {
-              eventEmitter.emit("complete", {result: "waited "+waitTime+" seconds and assumed invoke was successful"});
-           },
-           waitTime * 1000
+    // Emit 'complete' with the submitted event and the outcome as its result once the
+    // transaction is committed, or 'error'
+    _emitOnCommit: function(commit, eventEmitter, submitted) {
+        commit.promise.then(
+            function(result) {
+                submitted.result = result;
+                eventEmitter.emit("complete", submitted);
+            },
+            function(err) {
+                eventEmitter.emit("error", err);
+            }
         );
     }
 });
 
+// Create the error for a response whose status is not SUCCESS
+function newResponseError(response) {
+    var error = new Error("Transaction failed with status " + response.status +
+        (response.msg ? ": " + response.msg.toString() : ""));
+    error.name = "TransactionFailed";
+    return error;
+}
+
+// Create the error for a failed grpc call to the peer, keeping the grpc error as its cause
+function newTransportError(err) {
+    var error = new Error("The call to the peer failed: " + (err.message || err));
+    error.name = "TransportError";
+    error.cause = err;
+    return error;
+}
+
 module.exports = Peer;
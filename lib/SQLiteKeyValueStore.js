@@ -0,0 +1,354 @@
+var api = require('./api.js');
+var fs = require('fs-extra');
+var path = require('path');
+var util = require('util');
+var debug = require('debug')('hfc');
+
+// How long to wait for another process holding the database lock
+const BUSY_TIMEOUT = 10000; // ms
+
+/**
+ * A KeyValueStore keeping the values in a table of a local SQLite database file.
+ * Every update runs in a transaction, so that several processes can share the database,
+ * and each value carries a version number to detect concurrent updates: see setValue.
+ * The version of a deleted value is kept in the kvs_deleted table, so that it keeps
+ * increasing when the value is set again.
+ *
+ * This store requires the optional "sqlite3" package.
+ */
+var SQLiteKeyValueStore = api.KeyValueStore.extend({
+
+    _db: null, // sqlite3.Database
+    _ready: null, // Promise for the creation of the table
+    _queue: null, // Promise for the completion of the last transaction
+
+    /**
+     * @param {string} dbPath The path of the database file, which is created if it does not exist
+     */
+    constructor: function(dbPath /*string*/) {
+        var self = this;
+
+        var sqlite3;
+        try {
+            sqlite3 = require('sqlite3');
+        } catch (err) {
+            throw new Error("The SQLite key value store requires the sqlite3 package: npm install sqlite3");
+        }
+
+        fs.mkdirsSync(path.dirname(dbPath));
+
+        self._ready = new Promise(function(resolve, reject) {
+            self._db = new sqlite3.Database(dbPath, function(err) {
+                if (err) {
+                    return reject(err);
+                }
+                self._db.configure("busyTimeout", BUSY_TIMEOUT);
+                resolve();
+            });
+        }).then(
+            function() {
+                return self._run("CREATE TABLE IF NOT EXISTS kvs (name TEXT PRIMARY KEY, value TEXT NOT NULL, version INTEGER NOT NULL)");
+            }
+        ).then(
+            function() {
+                return self._run("CREATE TABLE IF NOT EXISTS kvs_deleted (name TEXT PRIMARY KEY, version INTEGER NOT NULL)");
+            }
+        );
+        // The failure is reported by every operation on the store
+        self._ready.catch(function(err) {
+            debug("Failed to open the SQLite key value store %s: %s", dbPath, err);
+        });
+        self._queue = self._ready;
+    },
+
+    /**
+     * Get the value associated with name.
+     * @param name
+     * @returns Promise for the value, or null if there is none
+     */
+    getValue: function(name /*string*/) {
+        return this.getValueWithVersion(name)
+        .then(
+            function(entry) {
+                return entry.value;
+            }
+        );
+    },
+
+    /**
+     * Get the value associated with name together with its version.
+     * @param name
+     * @returns Promise for an object of the form {value, version}, where value is null if there
+     * is no value, and version is 0 if no value was ever stored
+     */
+    getValueWithVersion: function(name /*string*/) {
+        var self = this;
+
+        return self._ready.then(function() {
+            return self._get("SELECT value, version FROM kvs WHERE name = ? " +
+                "UNION ALL SELECT NULL, version FROM kvs_deleted WHERE name = ?", [name, name]);
+        }).then(
+            function(row) {
+                return row ? {value: row.value, version: row.version} : {value: null, version: 0};
+            }
+        );
+    },
+
+    /**
+     * Set the value associated with name.
+     * @param name
+     * @param value
+     * @param {number} expectedVersion If set, the value is only written if the stored value still has
+     * this version.  Otherwise the promise is rejected with an Error named "VersionConflict".
+     * @returns Promise for a "true" value on successful completion
+     */
+    setValue: function(name /*string*/, value /*string*/, expectedVersion /*number*/) {
+        var self = this;
+
+        return self._transaction(function() {
+            return self.getValueWithVersion(name)
+            .then(
+                function(current) {
+                    if (expectedVersion !== undefined && current.version !== expectedVersion) {
+                        var error = new Error(util.format("The value of %s was updated concurrently: expected version %d but found %d",
+                            name, expectedVersion, current.version));
+                        error.name = "VersionConflict";
+                        throw error;
+                    }
+                    return self._write(name, value, current);
+                }
+            );
+        }).then(
+            function() {
+                return true;
+            }
+        );
+    },
+
+    /**
+     * Read, modify and write the value associated with name in one transaction.
+     * @param name
+     * @param {function} modify A function of the form function(value), returning the new value or
+     * a promise for it.  The value is null if none is stored.
+     * @returns Promise for the new value
+     */
+    update: function(name /*string*/, modify) {
+        var self = this;
+
+        return self._transaction(function() {
+            return self.getValueWithVersion(name)
+            .then(
+                function(current) {
+                    return Promise.resolve(modify(current.value))
+                    .then(
+                        function(value) {
+                            return self._write(name, value, current)
+                            .then(
+                                function() {
+                                    return value;
+                                }
+                            );
+                        }
+                    );
+                }
+            );
+        });
+    },
+
+    /**
+     * Delete the value associated with name.  Its version is kept and incremented, so that an
+     * update based on the deleted value is detected and a value set again gets a new version.
+     * @param name
+     * @returns Promise for true if the value was deleted, or false if there was none
+     */
+    deleteValue: function(name /*string*/) {
+        var self = this;
+
+        return self._transaction(function() {
+            return self.getValueWithVersion(name)
+            .then(
+                function(current) {
+                    if (current.value === null) return false;
+
+                    return self._run("DELETE FROM kvs WHERE name = ?", [name])
+                    .then(
+                        function() {
+                            return self._run("INSERT INTO kvs_deleted (name, version) VALUES (?, ?)", [name, current.version + 1]);
+                        }
+                    ).then(
+                        function() {
+                            return true;
+                        }
+                    );
+                }
+            );
+        });
+    },
+
+    /**
+     * List the names of the stored values.
+     * @param prefix If set, only the names starting with prefix are listed
+     * @returns Promise for the array of names
+     */
+    listKeys: function(prefix /*string*/) {
+        var self = this;
+
+        return self._ready.then(function() {
+            if (!prefix) {
+                return self._all("SELECT name FROM kvs ORDER BY name", []);
+            }
+            // Names are compared by code point, so the names starting with prefix are those
+            // from prefix up to, but excluding, the prefix with its last code point incremented
+            var upper = prefixUpperBound(prefix);
+            if (upper === null) {
+                return self._all("SELECT name FROM kvs WHERE name >= ? ORDER BY name", [prefix]);
+            }
+            return self._all("SELECT name FROM kvs WHERE name >= ? AND name < ? ORDER BY name", [prefix, upper]);
+        }).then(
+            function(rows) {
+                return rows.map(function(row) {
+                    return row.name;
+                });
+            }
+        );
+    },
+
+    /**
+     * Determine if a value is associated with name.
+     * @param name
+     * @returns Promise for true if a value is stored under name
+     */
+    hasValue: function(name /*string*/) {
+        var self = this;
+
+        return self._ready.then(function() {
+            return self._get("SELECT 1 FROM kvs WHERE name = ?", [name]);
+        }).then(
+            function(row) {
+                return !!row;
+            }
+        );
+    },
+
+    /**
+     * Close the database.
+     * @returns Promise for the completion of the pending transactions and the closing of the database
+     */
+    close: function() {
+        var self = this;
+
+        return self._queue.then(function() {
+            return new Promise(function(resolve, reject) {
+                self._db.close(function(err) {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                });
+            });
+        });
+    },
+
+    // Insert or update the row of name, given its current value and version as returned by
+    // getValueWithVersion.  A value set again after it was deleted continues from the version
+    // kept in kvs_deleted.
+    _write: function(name, value, current) {
+        var self = this;
+
+        if (current.value !== null) {
+            return self._run("UPDATE kvs SET value = ?, version = ? WHERE name = ?", [value, current.version + 1, name]);
+        }
+        return self._run("DELETE FROM kvs_deleted WHERE name = ?", [name])
+        .then(
+            function() {
+                return self._run("INSERT INTO kvs (name, value, version) VALUES (?, ?, ?)", [name, value, current.version + 1]);
+            }
+        );
+    },
+
+    // Run fn in a transaction.  Transactions are queued, since the statements of concurrent
+    // transactions on the same connection would otherwise interleave.
+    _transaction: function(fn) {
+        var self = this;
+
+        var result = self._queue.then(function() {
+            return self._run("BEGIN IMMEDIATE");
+        }).then(function() {
+            return Promise.resolve()
+            .then(fn)
+            .then(
+                function(value) {
+                    return self._run("COMMIT").then(function() { return value; });
+                },
+                function(err) {
+                    var rethrow = function() { throw err; };
+                    return self._run("ROLLBACK").then(rethrow, rethrow);
+                }
+            );
+        });
+        self._queue = result.catch(function() {});
+
+        return result;
+    },
+
+    // Run a statement, returning a promise for the number of changed rows
+    _run: function(sql, params) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._db.run(sql, params || [], function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(this.changes);
+                }
+            });
+        });
+    },
+
+    _get: function(sql, params) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._db.get(sql, params, function(err, row) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(row);
+                }
+            });
+        });
+    },
+
+    _all: function(sql, params) {
+        var self = this;
+
+        return new Promise(function(resolve, reject) {
+            self._db.all(sql, params, function(err, rows) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+});
+
+// Get the smallest string greater than every string starting with prefix, or null if there is none
+function prefixUpperBound(prefix) {
+    var codePoints = Array.from(prefix);
+
+    while (codePoints.length > 0) {
+        var last = codePoints.pop().codePointAt(0);
+        if (last < 0x10FFFF) {
+            // Skip the surrogates, which are not characters
+            var next = last + 1 === 0xD800 ? 0xE000 : last + 1;
+            return codePoints.join("") + String.fromCodePoint(next);
+        }
+    }
+    return null;
+}
+
+module.exports = SQLiteKeyValueStore;
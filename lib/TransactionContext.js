@@ -0,0 +1,540 @@
+/**
+ * Copyright 2016 IBM
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/**
+ * This module contains the implementation of the TransactionContext class, which builds,
+ * signs and submits the deploy, invoke and query transactions issued by a [Member]{@link module:Member}.
+ *
+ * @module TransactionContext
+ */
+
+var Base = require('./base.js');
+var utils = require('./utils.js');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var util = require('util');
+var asn1Builder = require('asn1');
+var grpc = require('grpc');
+var debug = require('debug')('hfc');
+
+var _fabricProto = grpc.load(__dirname + "/protos/fabric.proto").protos;
+var _chaincodeProto = grpc.load(__dirname + "/protos/chaincode.proto").protos;
+
+const CONFIDENTIALITY_1_2_STATE_KD_C6 = 6;
+
+/**
+ * A transaction context emits events 'submitted', 'complete', and 'error'.
+ * Each transaction context uses exactly one tcert.
+ *
+ * @class TransactionContext
+ * @memberof module:TransactionContext
+ */
+var TransactionContext = Base.extend.call(EventEmitter, /** @lends module:TransactionContext.TransactionContext.prototype */{
+
+    _member: null, // Member
+    _chain: null, // Chain
+    _memberServices: null, // MemberServices
+    _nonce: null, // Buffer
+    _binding: null, // Buffer
+    _tcert: null, // TCert
+    _attrs: null, // string[]
+
+    /**
+     * @param {Member} member The member on whose behalf transactions are issued.
+     * @param {TCert} tcert The transaction certificate to use.  If not set, one is fetched
+     * from the member's tcert pool the first time it is needed.
+     */
+    constructor: function(member, tcert) {
+        EventEmitter.call(this);
+
+        this._member = member;
+        this._chain = member.getChain();
+        this._memberServices = this._chain.getMemberServices();
+        this._tcert = tcert;
+        this._nonce = this._chain.cryptoPrimitives.generateNonce();
+    },
+
+    /**
+     * Get the member with which this transaction context is associated.
+     * @returns {Member} The member
+     */
+    getMember: function() {
+        return this._member;
+    },
+
+    /**
+     * Get the chain with which this transaction context is associated.
+     * @returns {Chain} The chain
+     */
+    getChain: function() {
+        return this._chain;
+    },
+
+    /**
+     * Get the member services, or undefined if security is not enabled.
+     * @returns {MemberServices} The member services
+     */
+    getMemberServices: function() {
+        return this._memberServices;
+    },
+
+    /**
+     * Get the attribute names associated with this transaction context.
+     * @returns {string[]} The attribute names
+     */
+    getAttrs: function() {
+        return this._attrs;
+    },
+
+    /**
+     * Set the attribute names for this transaction context.
+     * @param {string[]} attrs The attribute names
+     */
+    setAttrs: function(attrs) {
+        this._attrs = attrs;
+    },
+
+    /**
+     * Issue a deploy transaction.
+     * @param {Object} deployRequest A deploy request of the form:
+     * { chaincodePath or chaincodeName, fcn, args, confidential, userCert, metadata }
+     * @returns {TransactionContext} This transaction context, which emits the result events.
+     */
+    deploy: function(deployRequest) {
+        debug("TransactionContext.deploy");
+        debug("Received deploy request: %j", deployRequest);
+
+        var self = this;
+
+        self._getMyTCert()
+        .then(
+            function() {
+                return self._newBuildOrDeployTransaction(deployRequest);
+            }
+        ).then(
+            function(deployTx) {
+                self._execute(deployTx);
+            }
+        ).catch(
+            function(err) {
+                debug("Failed to deploy: %s", err);
+                self._emitMyEvent('error', err);
+            }
+        );
+
+        return self;
+    },
+
+    /**
+     * Issue an invoke transaction.
+     * @param {Object} invokeRequest An invoke request of the form:
+     * { chaincodeID, fcn, args, attrs, confidential, userCert, metadata }
+     * @returns {TransactionContext} This transaction context, which emits the result events.
+     */
+    invoke: function(invokeRequest) {
+        debug("TransactionContext.invoke");
+        debug("Received invoke request: %j", invokeRequest);
+
+        var self = this;
+
+        self.setAttrs(invokeRequest.attrs);
+        self._getMyTCert()
+        .then(
+            function() {
+                return self._newInvokeOrQueryTransaction(invokeRequest, true);
+            }
+        ).then(
+            function(invokeTx) {
+                self._execute(invokeTx);
+            }
+        ).catch(
+            function(err) {
+                debug("Failed to invoke: %s", err);
+                self._emitMyEvent('error', err);
+            }
+        );
+
+        return self;
+    },
+
+    /**
+     * Issue a query transaction.
+     * @param {Object} queryRequest A query request of the form:
+     * { chaincodeID, fcn, args, attrs, confidential, userCert, metadata }
+     * @returns {TransactionContext} This transaction context, which emits the result events.
+     */
+    query: function(queryRequest) {
+        debug("TransactionContext.query");
+        debug("Received query request: %j", queryRequest);
+
+        var self = this;
+
+        self.setAttrs(queryRequest.attrs);
+        self._getMyTCert()
+        .then(
+            function() {
+                return self._newInvokeOrQueryTransaction(queryRequest, false);
+            }
+        ).then(
+            function(queryTx) {
+                self._execute(queryTx);
+            }
+        ).catch(
+            function(err) {
+                debug("Failed to query: %s", err);
+                self._emitMyEvent('error', err);
+            }
+        );
+
+        return self;
+    },
+
+    // Emit an event on the next tick, but only if a listener has been registered for it,
+    // so that an early failure does not crash a caller who has not subscribed yet.
+    _emitMyEvent: function(name, event) {
+        var self = this;
+
+        setTimeout(function() {
+            if (self.listeners(name).length > 0) {
+                self.emit(name, event);
+            }
+        }, 0);
+    },
+
+    // Sign the transaction with the tcert (if security is enabled) and send it to the chain.
+    _execute: function(tx) {
+        debug("Executing transaction [%j]", tx);
+
+        var self = this;
+
+        if (self._chain.isSecurityEnabled()) {
+            if (!self._tcert) {
+                return self._emitMyEvent('error', new Error("Missing TCert"));
+            }
+
+            tx.pb.setNonce(self._nonce);
+
+            self._processConfidentiality(tx);
+
+            // Add the tcert and sign the transaction bytes
+            tx.pb.setCert(self._tcert.publicKey);
+            var txBytes = tx.pb.toBuffer();
+            var derSignature = self._chain.cryptoPrimitives.ecdsaSign(self._tcert.privateKey.getPrivate('hex'), txBytes).toDER();
+            tx.pb.setSignature(new Buffer(derSignature));
+        }
+
+        if (tx.pb.getConfidentialityLevel() == _fabricProto.ConfidentialityLevel.CONFIDENTIAL &&
+                tx.pb.getType() == _fabricProto.Transaction.Type.CHAINCODE_QUERY) {
+            // Use a separate event emitter so the query result can be decrypted
+            // before the 'complete' event reaches the caller
+            var emitter = new EventEmitter();
+            emitter.on('complete', function(event) {
+                try {
+                    event.result = self._decryptResult(event.result);
+                } catch (err) {
+                    return self.emit('error', err);
+                }
+                self.emit('complete', event);
+            });
+            emitter.on('error', function(err) {
+                self.emit('error', err);
+            });
+            self._chain.sendTransaction(tx, emitter);
+        } else {
+            self._chain.sendTransaction(tx, self);
+        }
+    },
+
+    // Resolve with the tcert of this transaction context, fetching one from the member if needed.
+    _getMyTCert: function() {
+        var self = this;
+
+        if (!self._chain.isSecurityEnabled() || self._tcert) {
+            return Promise.resolve(self._tcert);
+        }
+
+        return self._member.getNextTCert(self._attrs)
+        .then(
+            function(tcert) {
+                self._tcert = tcert;
+                return tcert;
+            }
+        );
+    },
+
+    // Encrypt the chaincode ID, payload and metadata of a confidential transaction
+    // according to the 1.2 confidentiality protocol.
+    _processConfidentiality: function(tx) {
+        if (tx.pb.getConfidentialityLevel() != _fabricProto.ConfidentialityLevel.CONFIDENTIAL) {
+            return;
+        }
+
+        debug("Process confidentiality...");
+
+        var crypto = this._chain.cryptoPrimitives;
+        var enrollment = this._member.getEnrollment();
+
+        tx.pb.setConfidentialityProtocolVersion('1.2');
+
+        // Generate transaction key, common to all types of transactions
+        var txKey = crypto.eciesKeyGen();
+        var privBytes = crypto.ecdsaPrivateKeyToASN1(txKey.prvKeyObj.prvKeyHex);
+        // Keep the key so the member can decrypt this transaction when reading it back from the ledger
+        this._member.setTransactionKey(tx.pb.getTxid(), txKey.prvKeyObj);
+
+        // Generate the state key, which depends on the transaction type
+        var stateKey;
+        var txType = tx.pb.getType();
+        if (txType == _fabricProto.Transaction.Type.CHAINCODE_DEPLOY) {
+            stateKey = new Buffer(crypto.aesKeyGen());
+        } else if (txType == _fabricProto.Transaction.Type.CHAINCODE_INVOKE) {
+            stateKey = new Buffer([]);
+        } else {
+            stateKey = this._getQueryStateKey();
+        }
+
+        // Encrypt the message to the validators using the chain key
+        var msgToValidators = new asn1Builder.Ber.Writer();
+        msgToValidators.startSequence();
+        msgToValidators.writeBuffer(privBytes, 4);
+        if (stateKey.length != 0) {
+            msgToValidators.writeBuffer(stateKey, 4);
+        } else {
+            msgToValidators.writeByte(4);
+            msgToValidators.writeLength(0);
+        }
+        msgToValidators.endSequence();
+
+        var ecdsaChainKey = crypto.ecdsaPEMToPublicKey(enrollment.chainKey);
+        tx.pb.setToValidators(crypto.eciesEncryptECDSA(ecdsaChainKey, msgToValidators.buffer));
+
+        // Encrypt the chaincode ID, payload and metadata using the transaction key
+        tx.pb.setChaincodeID(crypto.eciesEncrypt(txKey.pubKeyObj, tx.pb.getChaincodeID().toBuffer()));
+        tx.pb.setPayload(crypto.eciesEncrypt(txKey.pubKeyObj, tx.pb.getPayload().toBuffer()));
+        if (tx.pb.getMetadata()) {
+            tx.pb.setMetadata(crypto.eciesEncrypt(txKey.pubKeyObj, tx.pb.getMetadata().toBuffer()));
+        }
+    },
+
+    // The AES key with which the peer encrypts the result of a confidential query
+    _getQueryStateKey: function() {
+        return new Buffer(this._chain.cryptoPrimitives.hmacAESTruncated(
+            this._member.getEnrollment().queryStateKey,
+            Buffer.concat([new Buffer([CONFIDENTIALITY_1_2_STATE_KD_C6]), this._nonce])
+        ));
+    },
+
+    _decryptResult: function(ct) {
+        debug("Decrypt result [%s]", ct.toString('hex'));
+        return new Buffer(this._chain.cryptoPrimitives.aes256GCMDecrypt(this._getQueryStateKey(), ct), 'hex');
+    },
+
+    // Create a deploy transaction in either dev mode or network mode
+    _newBuildOrDeployTransaction: function(request) {
+        if (this._chain.isDevMode()) {
+            return this._newDevModeTransaction(request);
+        } else {
+            return this._newNetModeTransaction(request);
+        }
+    },
+
+    // Create a development mode deploy transaction, where the chaincode is run by the user
+    _newDevModeTransaction: function(request) {
+        debug("newDevModeTransaction");
+
+        if (!request.chaincodeName || request.chaincodeName === "") {
+            return Promise.reject(new Error("missing chaincodeName in DeployRequest"));
+        }
+
+        var tx = new _fabricProto.Transaction();
+        tx.setType(_fabricProto.Transaction.Type.CHAINCODE_DEPLOY);
+
+        var chaincodeID = new _chaincodeProto.ChaincodeID();
+        chaincodeID.setName(request.chaincodeName);
+        tx.setChaincodeID(chaincodeID.toBuffer());
+
+        var chaincodeSpec = newChaincodeSpec(chaincodeID, request);
+        var chaincodeDeploymentSpec = new _chaincodeProto.ChaincodeDeploymentSpec();
+        chaincodeDeploymentSpec.setChaincodeSpec(chaincodeSpec);
+        tx.setPayload(chaincodeDeploymentSpec.toBuffer());
+
+        // In dev mode the transaction ID is the chaincode name
+        tx.setTxid(request.chaincodeName);
+
+        this._setCommonFields(tx, chaincodeSpec, request);
+
+        return Promise.resolve({pb: tx, chaincodeID: request.chaincodeName});
+    },
+
+    // Create a network mode deploy transaction, where the chaincode package is built by the peer
+    _newNetModeTransaction: function(request) {
+        debug("newNetModeTransaction");
+
+        var self = this;
+
+        if (!request.chaincodePath || request.chaincodePath === "") {
+            return Promise.reject(new Error("missing chaincodePath in DeployRequest"));
+        }
+
+        var goPath = process.env.GOPATH;
+        var projDir = goPath + "/src/" + request.chaincodePath;
+        debug("projDir: " + projDir);
+
+        // The chaincode ID is the hash of the deployment parameters and the project directory contents
+        var hash = utils.GenerateParameterHash(request.chaincodePath, request.fcn, request.args);
+        hash = utils.GenerateDirectoryHash(goPath + "/src/", request.chaincodePath, hash);
+        debug("hash: " + hash);
+
+        var dockerFileContents = util.format(
+            "from hyperledger/fabric-baseimage" + "\n" +
+            "COPY . $GOPATH/src/build-chaincode/" + "\n" +
+            "WORKDIR $GOPATH" + "\n\n" +
+            "RUN go install build-chaincode && cp src/build-chaincode/vendor/github.com/hyperledger/fabric/peer/core.yaml $GOPATH/bin && mv $GOPATH/bin/build-chaincode $GOPATH/bin/%s",
+            hash);
+        var dockerFilePath = projDir + "/Dockerfile";
+        var targzFilePath = "/tmp/deployment-package.tar.gz";
+
+        return new Promise(function(resolve, reject) {
+            fs.writeFile(dockerFilePath, dockerFileContents, function(err) {
+                if (err) {
+                    return reject(new Error(util.format("Error writing file [%s]: %s", dockerFilePath, err)));
+                }
+
+                utils.GenerateTarGz(projDir, targzFilePath, function(err) {
+                    if (err) {
+                        return reject(new Error(util.format("Error creating deployment archive [%s]: %s", targzFilePath, err)));
+                    }
+
+                    fs.readFile(targzFilePath, function(err, data) {
+                        if (err) {
+                            return reject(new Error(util.format("Error reading deployment archive [%s]: %s", targzFilePath, err)));
+                        }
+
+                        var tx = new _fabricProto.Transaction();
+                        tx.setType(_fabricProto.Transaction.Type.CHAINCODE_DEPLOY);
+
+                        var chaincodeID = new _chaincodeProto.ChaincodeID();
+                        chaincodeID.setName(hash);
+                        tx.setChaincodeID(chaincodeID.toBuffer());
+
+                        var chaincodeSpec = newChaincodeSpec(chaincodeID, request);
+                        var chaincodeDeploymentSpec = new _chaincodeProto.ChaincodeDeploymentSpec();
+                        chaincodeDeploymentSpec.setChaincodeSpec(chaincodeSpec);
+                        chaincodeDeploymentSpec.setCodePackage(data);
+                        tx.setPayload(chaincodeDeploymentSpec.toBuffer());
+
+                        tx.setTxid(utils.GenerateUUID());
+
+                        self._setCommonFields(tx, chaincodeSpec, request);
+
+                        // Remove the temporary archive and Dockerfile
+                        fs.unlink(targzFilePath, function(err) {
+                            if (err) {
+                                return reject(new Error(util.format("Error deleting temporary archive [%s]: %s", targzFilePath, err)));
+                            }
+
+                            fs.unlink(dockerFilePath, function(err) {
+                                if (err) {
+                                    return reject(new Error(util.format("Error deleting temporary file [%s]: %s", dockerFilePath, err)));
+                                }
+
+                                return resolve({pb: tx, chaincodeID: hash});
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    // Create an invoke or query transaction
+    _newInvokeOrQueryTransaction: function(request, isInvokeRequest) {
+        if (!request.chaincodeID || request.chaincodeID === "") {
+            return Promise.reject(new Error("missing chaincodeID in InvokeOrQueryRequest"));
+        }
+
+        var tx = new _fabricProto.Transaction();
+        if (isInvokeRequest) {
+            tx.setType(_fabricProto.Transaction.Type.CHAINCODE_INVOKE);
+        } else {
+            tx.setType(_fabricProto.Transaction.Type.CHAINCODE_QUERY);
+        }
+
+        var chaincodeID = new _chaincodeProto.ChaincodeID();
+        chaincodeID.setName(request.chaincodeID);
+        tx.setChaincodeID(chaincodeID.toBuffer());
+
+        var chaincodeSpec = newChaincodeSpec(chaincodeID, request);
+        var chaincodeInvocationSpec = new _chaincodeProto.ChaincodeInvocationSpec();
+        chaincodeInvocationSpec.setChaincodeSpec(chaincodeSpec);
+        tx.setPayload(chaincodeInvocationSpec.toBuffer());
+
+        tx.setTxid(utils.GenerateUUID());
+
+        this._setCommonFields(tx, chaincodeSpec, request);
+
+        return Promise.resolve({pb: tx, chaincodeID: request.chaincodeID});
+    },
+
+    // Set the timestamp, confidentiality level and metadata shared by all transaction types.
+    // If a user certificate is passed in the request, the metadata is replaced by a signature
+    // binding the chaincode input to this transaction's tcert and nonce.
+    _setCommonFields: function(tx, chaincodeSpec, request) {
+        tx.setTimestamp(utils.GenerateTimestamp());
+
+        if (request.confidential) {
+            debug("Set confidentiality level to CONFIDENTIAL");
+            tx.setConfidentialityLevel(_fabricProto.ConfidentialityLevel.CONFIDENTIAL);
+        } else {
+            debug("Set confidentiality level to PUBLIC");
+            tx.setConfidentialityLevel(_fabricProto.ConfidentialityLevel.PUBLIC);
+        }
+
+        if (request.metadata) {
+            tx.setMetadata(request.metadata);
+        }
+
+        if (request.userCert) {
+            var bindingMsg = Buffer.concat([new Buffer(this._tcert.publicKey), new Buffer(this._nonce)]);
+            this._binding = new Buffer(this._chain.cryptoPrimitives.hash(bindingMsg), 'hex');
+            var txmsg = Buffer.concat([chaincodeSpec.getCtorMsg().toBuffer(), this._binding]);
+            var mdsig = this._chain.cryptoPrimitives.ecdsaSign(request.userCert.privateKey.getPrivate('hex'), txmsg);
+            tx.setMetadata(new Buffer(mdsig.toDER()));
+        }
+    }
+});
+
+// Build the ChaincodeSpec whose constructor message is the request's function and arguments
+function newChaincodeSpec(chaincodeID, request) {
+    var chaincodeSpec = new _chaincodeProto.ChaincodeSpec();
+    // GOLANG is the only chaincode language supported at this time
+    chaincodeSpec.setType(_chaincodeProto.ChaincodeSpec.Type.GOLANG);
+    chaincodeSpec.setChaincodeID(chaincodeID);
+
+    var chaincodeInput = new _chaincodeProto.ChaincodeInput();
+    chaincodeInput.setArgs(prepend(request.fcn, request.args || []));
+    chaincodeSpec.setCtorMsg(chaincodeInput);
+
+    return chaincodeSpec;
+}
+
+function prepend(item, list) {
+    var l = list.slice();
+    l.unshift(item);
+    return l.map(function(x) { return new Buffer(x); });
+}
+
+module.exports = TransactionContext;
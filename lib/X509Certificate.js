@@ -1,12 +1,30 @@
 var api = require('./api.js');
 var utils = require('./utils.js');
-var certPaser = require('./utils-x509cert.js');
+var certPaser = require('./utils-x509cert.js')();
+var jsrsa = require('jsrsasign');
+var elliptic = require('elliptic');
+var crypto = require('crypto');
+var debug = require('debug')('hfc');
+
+// The hash functions of the supported certificate signature algorithms
+const SIGNATURE_HASHES = {
+    SHA256withECDSA: 'sha256',
+    SHA384withECDSA: 'sha384',
+    SHA512withECDSA: 'sha512'
+};
+// The elliptic curves of the supported issuer keys
+const CURVES = {
+    secp256r1: 'p256',
+    secp384r1: 'p384'
+};
 
 var X509Certificate = api.X509Certificate.extend({
 
     _cert: null,
+    _hex: null, // The DER encoded certificate, in hex
 
     constructor: function(buffer) {
+        this._hex = buffer.toString('hex');
         debug('cert:', JSON.stringify(buffer));
         // convert certBuffer to arraybuffer
         var certBuffer = utils.toArrayBuffer(buffer);
@@ -35,6 +53,46 @@ var X509Certificate = api.X509Certificate.extend({
         debug('found extension: ', ext);
         debug('extValue: ', _toBuffer(ext.extnValue.value_block.value_hex));
         return _toBuffer(ext.extnValue.value_block.value_hex);
+    },
+
+    // Get the value of the extension with an OID, critical or not, or null if there is none
+    extension: function(oid) {
+        var ext = (this._cert.extensions || []).filter(function(extension) {
+            return extension.extnID === oid;
+        })[0];
+        return ext ? _toBuffer(ext.extnValue.value_block.value_hex) : null;
+    },
+
+    publicKey: function() {
+        return _toBuffer(this._cert.subjectPublicKeyInfo.subjectPublicKey.value_block.value_hex);
+    },
+
+    /**
+     * Determine if this certificate was issued by a certificate authority, by checking its
+     * signature with the public key of the authority.
+     * @param {X509Certificate} issuer The certificate of the certificate authority
+     * @returns {boolean} True if the signature is valid
+     */
+    isIssuedBy: function(issuer /*X509Certificate*/) {
+        try {
+            var X509 = jsrsa.X509;
+            var hash = SIGNATURE_HASHES[X509.getSignatureAlgorithmName(this._hex)];
+            var issuerKey = X509.getPublicKeyFromCertPEM(utils.toPEM(new Buffer(issuer._hex, 'hex'), 'CERTIFICATE'));
+            var curve = CURVES[issuerKey.curveName];
+            if (!hash || !curve) {
+                debug('unsupported certificate signature: %s with a %s key', X509.getSignatureAlgorithmName(this._hex), issuerKey.curveName);
+                return false;
+            }
+
+            // The certificate is a sequence of the TBSCertificate, the signature algorithm and the signature
+            var tbsHex = jsrsa.ASN1HEX.getHexOfTLV_AtObj(this._hex, jsrsa.ASN1HEX.getPosArrayOfChildren_AtObj(this._hex, 0)[0]);
+            var digest = crypto.createHash(hash).update(new Buffer(tbsHex, 'hex')).digest();
+            var ec = new elliptic.ec(curve);
+            return ec.verify(digest, X509.getSignatureValueHex(this._hex), ec.keyFromPublic(issuerKey.pubKeyHex, 'hex'));
+        } catch (ex) {
+            debug('error verifying the certificate signature: ', ex);
+            return false;
+        }
     }
 
 });
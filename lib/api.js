@@ -50,7 +50,28 @@ module.exports.KeyValueStore = Base.extend(/** @lends module:api.KeyValueStore.p
      * @param {string} value to save
      * @returns {Promise} Promise for a "true" value upon successful write operation
      */
-    setValue(name, value) {}
+    setValue(name, value) {},
+
+    /**
+     * Delete the value associated with name.
+     * @param {string} name of the key to delete
+     * @returns {Promise} Promise for true if the value was deleted, or false if there was none
+     */
+    deleteValue: function(name) {},
+
+    /**
+     * List the names of the stored values.
+     * @param {string} prefix If set, only the names starting with prefix are listed
+     * @returns {Promise} Promise for the array of names
+     */
+    listKeys: function(prefix) {},
+
+    /**
+     * Determine if a value is associated with name.
+     * @param {string} name of the key
+     * @returns {Promise} Promise for true if a value is stored under name
+     */
+    hasValue: function(name) {}
 
 });
 
@@ -112,8 +133,40 @@ module.exports.CryptoSuite = Base.extend(/** @lends module:api.CryptoSuite.proto
 
     ecdsaPrivateKeyToASN1: function(prvKeyHex /*string*/ ) {},
 
+    /**
+     * Encode an ECDSA private key as a PKCS#8 private key, encrypted with a passphrase if given
+     *
+     * @param {string} prvKeyHex The private key as hex
+     * @param {string} passphrase The passphrase with which the key is encrypted, if any
+     * @returns {string} The PEM encoded key, of type ENCRYPTED PRIVATE KEY, or PRIVATE KEY
+     * if there is no passphrase
+     */
+    ecdsaPrivateKeyToPKCS8PEM: function(prvKeyHex /*string*/ , passphrase /*string*/ ) {},
+
+    /**
+     * Decode an ECDSA private key from a PKCS#8 private key, encrypted with a passphrase or not
+     *
+     * @param {string} pem The PEM encoded key, of type ENCRYPTED PRIVATE KEY, or PRIVATE KEY
+     * @param {string} passphrase The passphrase with which the key is encrypted, ignored if the
+     * key is not encrypted
+     * @returns {string} The private key as hex
+     * @throws {Error} An Error named "WrongPassphrase" if the key is encrypted and cannot be
+     * decrypted, or no passphrase is given
+     */
+    ecdsaPrivateKeyFromPKCS8PEM: function(pem /*string*/ , passphrase /*string*/ ) {},
+
     ecdsaSign: function(key /*Buffer*/ , msg /*Buffer*/ ) {},
 
+    /**
+     * Verify an ECDSA signature
+     *
+     * @param publicKey The public key, either as a key object or as the bytes of the EC point
+     * @param {Buffer} signature The DER encoded signature
+     * @param {Buffer} msg The signed message, which is hashed before verifying
+     * @returns {boolean} True if the signature is valid
+     */
+    ecdsaVerify: function(publicKey, signature /*Buffer*/ , msg /*Buffer*/ ) {},
+
     ecdsaPEMToPublicKey: function(chainKey) {},
 
     eciesEncryptECDSA: function(ecdsaRecipientPublicKey, msg) {},
@@ -150,7 +203,22 @@ module.exports.X509Certificate = Base.extend(/** @lends module:api.X509Certifica
      *
      * @param {Object} Object ID
      */
-    criticalExtension: function(oid) {}
+    criticalExtension: function(oid) {},
+
+    /**
+     * Get the public key of the subject of the certificate
+     *
+     * @returns {Buffer} The bytes of the public key
+     */
+    publicKey: function() {},
+
+    /**
+     * Determine if the certificate was issued by a certificate authority
+     *
+     * @param {X509Certificate} issuer The certificate of the certificate authority
+     * @returns {boolean} True if the certificate is signed with the key of the issuer
+     */
+    isIssuedBy: function(issuer) {}
 
 });
 
@@ -206,8 +274,8 @@ module.exports.MemberServices = Base.extend({
 	 *	    enrollmentID: "",
 	 *
 	 *	    // Roles associated with this member.
-	 *	    // Fabric roles include: 'client', 'peer', 'validator', 'auditor'
-	 *	    // Default value: ['client']
+	 *	    // Fabric roles are: 'client', 'peer', 'validator', 'auditor'
+	 *	    // Any other role is rejected.  Default value: ['client']
 	 *	    roles: ["client"],
 	 *
 	 *	    // Affiliation for a user
@@ -227,6 +295,14 @@ module.exports.MemberServices = Base.extend({
      */
     register: function(req /*RegistrationRequest*/ , registrar /*Member*/ ) {},
 
+    /**
+     * List the registered users
+     * @param req Request of the form {role}, where role is a member type name or an array of them
+     * @param registrar The registrar performing the request
+     * @returns promise for an array of {enrollmentID, roles}
+     */
+    listUsers: function(req /*Object*/ , registrar /*Member*/ ) {},
+
     /**
      * Enroll the member and return an opaque member object
      * @param req Enrollment request with the following fields:
@@ -241,6 +317,67 @@ module.exports.MemberServices = Base.extend({
      */
     enroll: function(req /*EnrollmentRequest*/ ) {},
 
+    /**
+     * Get the certificate of the enrollment certificate authority
+     * @returns promise for the DER encoded certificate as a Buffer
+     */
+    getECACertificate: function() {},
+
+    /**
+     * Get the certificates of the enrollment, transaction, TLS and attribute certificate authorities
+     * @returns promise for an object of the form {eca, tca, tlsca, aca}, holding DER encoded certificates as Buffers
+     */
+    getCACertificates: function() {},
+
+    /**
+     * Get a TLS client certificate for a member from the TLS certificate authority
+     * @param member The member to whom the certificate is issued
+     * @returns promise for the TLS certificate, of the form {key, cert, rootCert} in PEM
+     */
+    createTLSCertificate: function(member /*Member*/ ) {},
+
+    /**
+     * Revoke the ECert of an enrolled member, as that member
+     * @param member The member whose ECert is revoked
+     * @returns promise for true on completion
+     */
+    revokeECert: function(member /*Member*/ ) {},
+
+    /**
+     * Revoke the ECert of any member, as an administrator
+     * @param enrollmentID The enrollment ID of the member whose ECert is revoked
+     * @param registrar The administrator performing the revocation
+     * @returns promise for true on completion
+     */
+    revokeECertAsAdmin: function(enrollmentID /*string*/ , registrar /*Member*/ ) {},
+
+    /**
+     * Revoke a TCert of an enrolled member, as that member, removing it from the TCerts kept
+     * by the member
+     * @param member The member who owns the TCert
+     * @param tcert The TCert to revoke
+     * @returns promise for true on completion
+     */
+    revokeTCert: function(member /*Member*/ , tcert /*TCert*/ ) {},
+
+    /**
+     * Revoke any TCert, as an administrator, removing it from the TCerts kept by the members
+     * of the chain of the administrator
+     * @param tcert The TCert to revoke
+     * @param registrar The administrator performing the revocation
+     * @returns promise for true on completion
+     */
+    revokeTCertAsAdmin: function(tcert /*TCert*/ , registrar /*Member*/ ) {},
+
+    /**
+     * Revoke a batch of TCerts of an enrolled member, as that member, removing them from the
+     * TCerts kept by the member
+     * @param member The member who owns the TCerts
+     * @param timestamp The timestamp of the batch, as found in the batchTimestamp of its TCerts
+     * @returns promise for true on completion
+     */
+    revokeTCertBatch: function(member /*Member*/ , timestamp) {},
+
     /**
      * Get an array of transaction certificates (tcerts).
      * @param req A GetTCertBatchRequest:
@@ -269,7 +406,7 @@ module.exports.Certificate = Base.extend({
 	/** 
 	 * @param privacyLevel - Denoting if the Certificate is anonymous or carrying its owner's identity. 
 	 */
-    constructor: function(cert /*Buffer*/, privateKey, privLevel /*PrivacyLevel*/) {
+    constructor: function(cert /*Buffer*/, privateKey, privacyLevel /*PrivacyLevel*/) {
     	this._cert = cert;
     	this._privateKey = privateKey;
     	this._privacyLevel = privacyLevel;
@@ -286,7 +423,7 @@ module.exports.Certificate = Base.extend({
 module.exports.ECert = module.exports.Certificate.extend({
 
     constructor: function(cert /*Buffer*/, privateKey) {
-        module.exports.Certificate.prototype.constructor(cert, privateKey, module.exports.PrivacyLevel.Nominal);
+        module.exports.Certificate.prototype.constructor.call(this, cert, privateKey, module.exports.PrivacyLevel.Nominal);
     }
 
 });
@@ -297,7 +434,35 @@ module.exports.ECert = module.exports.Certificate.extend({
 module.exports.TCert = module.exports.Certificate.extend({
     
     constructor: function(publicKey, privateKey) {
-        module.exports.Certificate.prototype.constructor(publicKey, privateKey, module.exports.PrivacyLevel.Anonymous);
+        module.exports.Certificate.prototype.constructor.call(this, publicKey, privateKey, module.exports.PrivacyLevel.Anonymous);
+        // The DER bytes of the certificate and its elliptic key pair, as used to sign transactions
+        this.publicKey = publicKey;
+        this.privateKey = privateKey;
+        // The timestamp of the batch in which member services issued the certificate
+        this.batchTimestamp = null;
+        // The decrypted values of the attributes embedded in the certificate, by name
+        this.attributes = {};
+        // The errors met reading the attributes which could not be decrypted, by name
+        this.attributeErrors = {};
+    },
+
+    /**
+     * Get the value of an attribute embedded in this TCert by the TCA.
+     * @param {string} name The name of the attribute
+     * @returns {Buffer} The value of the attribute, or null if the TCert does not carry it or
+     * it cannot be decrypted
+     */
+    getAttribute: function(name) {
+        return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+    },
+
+    /**
+     * Get the error met reading an attribute embedded in this TCert by the TCA.
+     * @param {string} name The name of the attribute
+     * @returns {Error} The error, or null if the attribute was read or the TCert does not carry it
+     */
+    getAttributeError: function(name) {
+        return this.attributeErrors.hasOwnProperty(name) ? this.attributeErrors[name] : null;
     }
 });
 
@@ -327,7 +492,32 @@ module.exports.Peer = Base.extend({
      * @param tx A transaction
      * @param eventEmitter The event emitter
      */
-    sendTransaction: function(tx, eventEmitter) {}
+    sendTransaction: function(tx, eventEmitter) {},
+
+    /**
+     * Get information about the blockchain ledger of this peer.
+     * @returns Promise for the BlockchainInfo
+     */
+    getBlockchainInfo: function() {},
+
+    /**
+     * Get a block of the blockchain ledger of this peer.
+     * @param {number} number The number of the block
+     * @returns Promise for the Block
+     */
+    getBlockByNumber: function(number) {},
+
+    /**
+     * Get the number of blocks in the blockchain ledger of this peer.
+     * @returns Promise for the block count
+     */
+    getBlockCount: function() {},
+
+    /**
+     * Get the peer nodes currently connected to this peer.
+     * @returns Promise for an array of PeerEndpoint objects
+     */
+    getNetworkPeers: function() {}
 
 });
 
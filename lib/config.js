@@ -0,0 +1,255 @@
+/**
+ * Copyright 2016 IBM
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/*
+ * This module loads and validates the network configuration files from which
+ * Chain.fromConfig builds a chain.  A configuration file is JSON, or YAML if its
+ * name ends with .yaml or .yml, of the form:
+ *
+ *   {
+ *     name: "mychain",
+ *     devMode: false,
+ *     peers: [ { url: "grpcs://host:7051", pem: "certs/peer.pem", options: { clientKey: "certs/client.key", clientCert: "certs/client.pem" } } ],
+ *     eventHub: { url: "grpcs://host:7053", pem: "certs/peer.pem" },
+ *     memberServices: { url: "grpcs://host:7054", pem: "certs/tlsca.pem",
+ *                       caCertificates: { eca: "certs/eca.pem", tca: "certs/tca.pem", tlsca: "certs/tlsca.pem" } },
+ *     keyValueStore: { type: "file", path: "/var/hfc/keyValStore" },
+ *     securityLevel: 256,
+ *     hashAlgorithm: "SHA3",
+ *     tcertBatchSize: 200,
+ *     deployWaitTime: 20,
+ *     invokeWaitTime: 5
+ *   }
+ *
+ * Only name, peers and keyValueStore are required.  The key value store type is "file"
+ * (the default), "memory", "sqlite" or the require() path of an implementation.  The options of an
+ * endpoint are those of utils.Endpoint, with clientKey and clientCert naming PEM files.  The optional
+ * caCertificates of the member services name the PEM files of the certificate authorities to trust,
+ * instead of those the member services present the first time (see MemberServices.getCACertificates);
+ * aca may be omitted.  Relative pem, client key and certificate, CA certificate and key value store
+ * paths are relative to the directory of the configuration file.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var yaml = require('js-yaml');
+
+var ENDPOINT_OPTIONS = {
+    type: 'object',
+    properties: {
+        clientKey: {type: 'string'},
+        clientCert: {type: 'string'},
+        targetNameOverride: {type: 'string'},
+        keepaliveTime: {type: 'integer', minimum: 1},
+        keepaliveTimeout: {type: 'integer', minimum: 1},
+        maxSendMessageSize: {type: 'integer', minimum: 1},
+        maxReceiveMessageSize: {type: 'integer', minimum: 1},
+        deadline: {type: 'integer', minimum: 1}
+    },
+    check: function(opts) {
+        if (!opts.clientKey !== !opts.clientCert) return "clientKey: and clientCert: must be set together";
+    }
+};
+
+var ENDPOINT = {
+    type: 'object',
+    properties: {
+        url: {type: 'string', required: true, pattern: /^grpcs?:\/\/[^:\/]+:\d+$/, format: "grpc://host:port or grpcs://host:port"},
+        pem: {type: 'string'},
+        options: ENDPOINT_OPTIONS
+    },
+    check: function(ep) {
+        if (/^grpcs:/.test(ep.url) && !ep.pem) return "pem: is required for a grpcs url";
+        if (ep.options && ep.options.clientKey && !/^grpcs:/.test(ep.url)) return "options.clientKey: requires a grpcs url";
+    }
+};
+
+var MEMBER_SERVICES = {
+    type: 'object',
+    properties: Object.assign({
+        caCertificates: {
+            type: 'object',
+            properties: {
+                eca: {type: 'string', required: true},
+                tca: {type: 'string', required: true},
+                tlsca: {type: 'string', required: true},
+                aca: {type: 'string'}
+            }
+        }
+    }, ENDPOINT.properties),
+    check: ENDPOINT.check
+};
+
+var SCHEMA = {
+    type: 'object',
+    properties: {
+        name: {type: 'string', required: true},
+        devMode: {type: 'boolean'},
+        peers: {type: 'array', required: true, minItems: 1, items: ENDPOINT},
+        eventHub: ENDPOINT,
+        memberServices: MEMBER_SERVICES,
+        keyValueStore: {
+            type: 'object',
+            required: true,
+            properties: {
+                type: {type: 'string'},
+                path: {type: 'string'}
+            },
+            check: function(kvs) {
+                if (kvs.type !== 'memory' && !kvs.path) return "path: is required unless the type is memory";
+            }
+        },
+        securityLevel: {type: 'integer', enum: [256, 384]},
+        hashAlgorithm: {type: 'string', enum: ['SHA2', 'SHA3']},
+        tcertBatchSize: {type: 'integer', minimum: 1},
+        deployWaitTime: {type: 'number', minimum: 0},
+        invokeWaitTime: {type: 'number', minimum: 0}
+    }
+};
+
+/**
+ * Load a network configuration file and check it against the schema.
+ * @param {string} configPath The path of the JSON or YAML configuration file
+ * @returns {Object} The configuration, in which the pem, clientKey, clientCert and CA certificate
+ * properties hold the contents of the PEM files and the key value store path is absolute.
+ * @throws {Error} An Error with name "InvalidConfig" listing every problem found in the file
+ */
+module.exports.load = function(configPath) {
+    var config;
+    try {
+        var text = fs.readFileSync(configPath, 'utf8');
+        config = /\.ya?ml$/i.test(configPath) ? yaml.safeLoad(text) : JSON.parse(text);
+    } catch (err) {
+        throw newConfigError(configPath, [err.message]);
+    }
+
+    var errors = [];
+    validate(config, SCHEMA, "config", errors);
+    if (errors.length > 0) {
+        throw newConfigError(configPath, errors);
+    }
+
+    // Resolve the files the configuration refers to
+    var dir = path.dirname(path.resolve(configPath));
+    var endpoints = config.peers.map(function(peer, i) {
+        return {ep: peer, name: util.format("config.peers[%d]", i)};
+    });
+    if (config.eventHub) endpoints.push({ep: config.eventHub, name: "config.eventHub"});
+    if (config.memberServices) endpoints.push({ep: config.memberServices, name: "config.memberServices"});
+
+    endpoints.forEach(function(e) {
+        readPEM(dir, e.ep, 'pem', e.name, errors);
+        if (e.ep.options) {
+            readPEM(dir, e.ep.options, 'clientKey', e.name + ".options", errors);
+            readPEM(dir, e.ep.options, 'clientCert', e.name + ".options", errors);
+        }
+    });
+    var caCertificates = config.memberServices && config.memberServices.caCertificates;
+    if (caCertificates) {
+        Object.keys(caCertificates).forEach(function(ca) {
+            readPEM(dir, caCertificates, ca, "config.memberServices.caCertificates", errors);
+        });
+    }
+    if (errors.length > 0) {
+        throw newConfigError(configPath, errors);
+    }
+
+    if (config.keyValueStore.path) {
+        config.keyValueStore.path = path.resolve(dir, config.keyValueStore.path);
+    }
+
+    return config;
+};
+
+// Replace the path in obj[prop], relative to dir, with the contents of the PEM file
+function readPEM(dir, obj, prop, name, errors) {
+    if (!obj[prop]) return;
+    try {
+        obj[prop] = fs.readFileSync(path.resolve(dir, obj[prop]), 'utf8');
+    } catch (err) {
+        errors.push(util.format("%s.%s: cannot read the PEM file: %s", name, prop, err.message));
+    }
+}
+
+// Check a value against a schema, appending a message for each problem to errors
+function validate(value, schema, name, errors) {
+    if (!checkType(value, schema.type)) {
+        return errors.push(util.format("%s: must be of type %s", name, schema.type));
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) < 0) {
+        errors.push(util.format("%s: must be one of %s", name, schema.enum.join(", ")));
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(util.format("%s: must be at least %d", name, schema.minimum));
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(util.format("%s: must be of the form %s", name, schema.format));
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push(util.format("%s: must have at least %d item(s)", name, schema.minItems));
+        }
+        value.forEach(function(item, i) {
+            validate(item, schema.items, util.format("%s[%d]", name, i), errors);
+        });
+    }
+
+    if (schema.type === 'object') {
+        Object.keys(schema.properties).forEach(function(prop) {
+            var propSchema = schema.properties[prop];
+            if (value[prop] === undefined || value[prop] === null) {
+                if (propSchema.required) {
+                    errors.push(util.format("%s.%s: is required", name, prop));
+                }
+            } else {
+                validate(value[prop], propSchema, name + "." + prop, errors);
+            }
+        });
+        Object.keys(value).forEach(function(prop) {
+            if (!schema.properties.hasOwnProperty(prop)) {
+                errors.push(util.format("%s.%s: is not a known property", name, prop));
+            }
+        });
+    }
+
+    var problem = schema.check ? schema.check(value) : undefined;
+    if (problem) {
+        errors.push(util.format("%s.%s", name, problem));
+    }
+}
+
+function checkType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function newConfigError(configPath, errors) {
+    var error = new Error(util.format("Invalid configuration file %s:\n  %s", configPath, errors.join("\n  ")));
+    error.name = "InvalidConfig";
+    error.errors = errors;
+    return error;
+}
@@ -0,0 +1,181 @@
+/**
+ * Copyright 2016 IBM
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *    http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ */
+
+/*
+ * This module decodes the blocks and transactions read from the ledger
+ * into readable structures, and computes the bytes that are hashed and signed.
+ */
+
+var grpc = require('grpc');
+var debug = require('debug')('hfc');
+var shake_256 = require('js-sha3').shake_256;
+
+var _fabricProto = grpc.load(__dirname + "/protos/fabric.proto").protos;
+var _chaincodeProto = grpc.load(__dirname + "/protos/chaincode.proto").protos;
+
+/**
+ * Decode a block and all of its transactions.
+ * @param {Block} block A block as returned by Chain.getBlock
+ * @param {Member} member Optional member whose keys are used to decrypt confidential transactions
+ * @returns {Object} The decoded block, of the form
+ * {version, timestamp, stateHash, previousBlockHash, transactions}, where the hashes are hex strings,
+ * the timestamp is a Date and the transactions are decoded by decodeTransaction.
+ */
+module.exports.decodeBlock = function(block, member) {
+    var txs = block.transactions || [];
+
+    return {
+        version: block.version,
+        timestamp: toDate(block.timestamp),
+        stateHash: toBuffer(block.stateHash).toString('hex'),
+        previousBlockHash: toBuffer(block.previousBlockHash).toString('hex'),
+        transactions: txs.map(function(tx) {
+            return module.exports.decodeTransaction(tx, member);
+        })
+    };
+};
+
+/**
+ * Decode a transaction.
+ *
+ * The chaincode ID, payload and metadata of a confidential transaction are encrypted
+ * with a per-transaction key.  They are decrypted if the member holds that key, which
+ * is the case for confidential transactions that the member itself issued in this
+ * process (see Member.getTransactionKey).  Otherwise they are left out, and the
+ * 'encrypted' property of the result is true.
+ *
+ * @param {Transaction} tx A transaction from a Block
+ * @param {Member} member Optional member whose keys are used to decrypt a confidential transaction
+ * @returns {Object} The decoded transaction, of the form
+ * {type, txid, timestamp, confidentialityLevel, encrypted, chaincodeID, fcn, args, metadata, cert, signature},
+ * where chaincodeID is of the form {path, name}, args is an array of strings, and cert is
+ * the DER encoded certificate of the signer.
+ */
+module.exports.decodeTransaction = function(tx, member) {
+    var decoded = {
+        type: enumName(_fabricProto.Transaction.Type, tx.type),
+        txid: tx.txid,
+        timestamp: toDate(tx.timestamp),
+        confidentialityLevel: enumName(_fabricProto.ConfidentialityLevel, tx.confidentialityLevel),
+        encrypted: false,
+        cert: toBuffer(tx.cert),
+        signature: toBuffer(tx.signature)
+    };
+
+    var chaincodeID = toBuffer(tx.chaincodeID);
+    var payload = toBuffer(tx.payload);
+    var metadata = toBuffer(tx.metadata);
+
+    if (decoded.confidentialityLevel === 'CONFIDENTIAL') {
+        var txKey = member ? member.getTransactionKey(tx.txid) : null;
+        if (!txKey) {
+            debug("No key to decrypt confidential transaction %s", tx.txid);
+            decoded.encrypted = true;
+            return decoded;
+        }
+
+        var crypto = member.getChain().cryptoPrimitives;
+        chaincodeID = crypto.eciesDecrypt(txKey, chaincodeID);
+        payload = crypto.eciesDecrypt(txKey, payload);
+        if (metadata.length > 0) {
+            metadata = crypto.eciesDecrypt(txKey, metadata);
+        }
+    }
+
+    decoded.chaincodeID = toRaw(_chaincodeProto.ChaincodeID.decode(chaincodeID));
+    decoded.metadata = metadata;
+
+    // The payload is the spec of the chaincode to deploy or invoke
+    var spec;
+    if (decoded.type === 'CHAINCODE_DEPLOY') {
+        spec = _chaincodeProto.ChaincodeDeploymentSpec.decode(payload).getChaincodeSpec();
+    } else if (decoded.type === 'CHAINCODE_INVOKE' || decoded.type === 'CHAINCODE_QUERY') {
+        spec = _chaincodeProto.ChaincodeInvocationSpec.decode(payload).getChaincodeSpec();
+    }
+
+    if (spec && spec.getCtorMsg()) {
+        var args = spec.getCtorMsg().getArgs().map(function(arg) {
+            return arg.toBuffer().toString();
+        });
+        decoded.fcn = args.shift();
+        decoded.args = args;
+    }
+
+    return decoded;
+};
+
+/**
+ * Compute the hash of a block the way the peer does: the SHAKE256 (64 byte output) hash
+ * of the serialized block without its nonHashData.
+ * @param {Block} block A block as returned by Chain.getBlock
+ * @returns {Buffer} The block hash
+ */
+module.exports.computeBlockHash = function(block) {
+    var hashed = new _fabricProto.Block(block);
+    hashed.setNonHashData(null);
+
+    return new Buffer(shake_256(hashed.toBuffer(), 512), 'hex');
+};
+
+/**
+ * Get the bytes over which the signature of a transaction is computed: the serialized
+ * transaction, including its cert, without its signature.
+ * @param {Transaction} tx A transaction from a Block, or a transaction built by the SDK
+ * @returns {Buffer} The signed bytes
+ */
+module.exports.getSignedBytes = function(tx) {
+    var signed = (typeof tx.toBuffer === 'function') ? _fabricProto.Transaction.decode(tx.toBuffer()) : new _fabricProto.Transaction(tx);
+    signed.setSignature(new Buffer(0));
+
+    return signed.toBuffer();
+};
+
+/**
+ * Convert a bytes field, which is a Buffer when received from grpc and a ByteBuffer
+ * when built locally, to a Buffer.
+ * @param {Buffer|ByteBuffer} bytes The bytes field, which may be unset
+ * @returns {Buffer} The bytes, empty if unset
+ */
+module.exports.toBuffer = toBuffer;
+
+function toBuffer(bytes) {
+    if (!bytes) return new Buffer(0);
+    if (Buffer.isBuffer(bytes)) return bytes;
+
+    return bytes.toBuffer();
+}
+
+// Get the name of an enum value, which may already be a name
+function enumName(values, value) {
+    if (typeof value === 'string') return value;
+
+    for (var name in values) {
+        if (values[name] === value) return name;
+    }
+    return undefined;
+}
+
+// Convert a google.protobuf.Timestamp, whose seconds may be a string or a Long, to a Date
+function toDate(timestamp) {
+    if (!timestamp) return undefined;
+
+    return new Date(Number(timestamp.seconds) * 1000 + Math.floor((timestamp.nanos || 0) / 1000000));
+}
+
+
+function toRaw(message) {
+    return message.toRaw(false, true);
+}
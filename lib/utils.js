@@ -47,6 +47,18 @@ var sha3_256 = require('js-sha3').sha3_256;
 
 var _timeStampProto = grpc.load(__dirname + "/protos/google/protobuf/timestamp.proto").google.protobuf.Timestamp;
 
+// The gRPC channel arguments set by each Endpoint option.  Versions of grpc before 1.2 only
+// know the receive limit, as grpc.max_message_length.
+const CHANNEL_OPTIONS = {
+    targetNameOverride: ['grpc.ssl_target_name_override', 'grpc.default_authority'],
+    keepaliveTime: ['grpc.keepalive_time_ms'],
+    keepaliveTimeout: ['grpc.keepalive_timeout_ms'],
+    maxSendMessageSize: ['grpc.max_send_message_length'],
+    maxReceiveMessageSize: ['grpc.max_receive_message_length', 'grpc.max_message_length']
+};
+// The Endpoint options which are not gRPC channel arguments
+const ENDPOINT_OPTIONS = ['clientKey', 'clientCert', 'deadline'];
+
 module.exports.getCryptoSuite = function() {
     var cryptoSuite;
 
@@ -59,16 +71,38 @@ module.exports.getCryptoSuite = function() {
     return cryptoSuite;
 };
 
-module.exports.newKeyValueStore = function(path) {
-    var store;
+// The built-in KeyValueStore implementations, by type name
+var KEY_VALUE_STORES = {
+    file: './FileKeyValueStore.js',
+    memory: './MemoryKeyValueStore.js',
+    sqlite: './SQLiteKeyValueStore.js'
+};
 
-    var kvsEnv = process.env.KEY_VALUE_STORE;
-    if (kvsEnv) // expecting a path to an alternative KeyValueStore implementation
-        store = require(kvsEnv);
-    else
-        store = require('./FileKeyValueStore.js');
+/**
+ * Create a key value store.
+ * @param options Either the path of the store, or an object of the form {type, path, ...}.
+ * The type is "file" (a directory of files), "memory", "sqlite" (a database file), or the
+ * require() path of an alternative implementation, which is given the options object (or the
+ * path, if options is a string).  If the type is not set, the "KEY_VALUE_STORE" environment
+ * variable selects it, and it defaults to "file".
+ * @returns {KeyValueStore} The key value store
+ */
+module.exports.newKeyValueStore = function(options) {
+    var legacy = (typeof options === 'string');
+    if (legacy) {
+        options = {path: options};
+    }
+    options = options || {};
 
-    return new store(path);
+    var type = options.type || process.env.KEY_VALUE_STORE || 'file';
+    if (KEY_VALUE_STORES[type]) {
+        var builtin = require(KEY_VALUE_STORES[type]);
+        return new builtin(options.path);
+    }
+
+    // expecting a path to an alternative KeyValueStore implementation
+    var store = require(type);
+    return new store(legacy ? options.path : options);
 };
 
 //
@@ -216,10 +250,31 @@ module.exports.GenerateTarGz = function(src, dest, cb) {
 };
 
 /**
- * An endpoint currently takes only URL (currently).
- * @param url
+ * An endpoint holds the address, credentials and gRPC channel options of a peer, event source
+ * or member services URL.
+ * @param url The URL, "grpc://host:port" or "grpcs://host:port"
+ * @param pem The PEM encoded root certificate of a grpcs URL
+ * @param opts Optional settings of the form:
+ *   {
+ *     clientKey, clientCert: For mutual TLS, the PEM encoded client key and certificate, such as
+ *       the key and cert returned by MemberServices.createTLSCertificate
+ *     targetNameOverride: The name to check the server certificate against instead of the host
+ *     keepaliveTime, keepaliveTimeout: The interval between keepalive pings and how long to wait
+ *       for their acknowledgement, in ms
+ *     maxSendMessageSize, maxReceiveMessageSize: The largest message to send or receive, in bytes
+ *     deadline: The default deadline of each call, in ms
+ *   }
+ * An unknown option throws an Error, so that a misnamed client key or certificate does not
+ * silently fall back to one-way TLS.
  */
-module.exports.Endpoint = function(url /*string*/ , pem /*string*/ ) {
+module.exports.Endpoint = function(url /*string*/ , pem /*string*/ , opts /*Object*/ ) {
+    opts = opts || {};
+    Object.keys(opts).forEach(function(name) {
+        if (ENDPOINT_OPTIONS.indexOf(name) < 0 && !CHANNEL_OPTIONS.hasOwnProperty(name)) {
+            throw new Error("Unknown endpoint option: " + name +
+                (name === 'key' || name === 'cert' ? ".  Pass the key and cert of a TLS certificate as clientKey and clientCert" : ""));
+        }
+    });
     var purl = urlParser.parse(url, true);
     var protocol;
     if (purl.protocol) {
@@ -230,7 +285,14 @@ module.exports.Endpoint = function(url /*string*/ , pem /*string*/ ) {
         this.creds = grpc.credentials.createInsecure();
     } else if (protocol === 'grpcs') {
         this.addr = purl.host;
-        this.creds = grpc.credentials.createSsl(new Buffer(pem));
+        if (!opts.clientKey !== !opts.clientCert) {
+            throw new Error("Mutual TLS requires both the client key and the client certificate");
+        }
+        if (opts.clientKey) {
+            this.creds = grpc.credentials.createSsl(new Buffer(pem), new Buffer(opts.clientKey), new Buffer(opts.clientCert));
+        } else {
+            this.creds = grpc.credentials.createSsl(new Buffer(pem));
+        }
     } else {
         var error = new Error();
         error.name = "InvalidProtocol";
@@ -238,6 +300,25 @@ module.exports.Endpoint = function(url /*string*/ , pem /*string*/ ) {
             ".  URLs must begin with grpc:// or grpcs://"
         throw error;
     }
+
+    this.options = {};
+    var self = this;
+    Object.keys(CHANNEL_OPTIONS).forEach(function(name) {
+        if (opts[name] !== undefined && opts[name] !== null) {
+            CHANNEL_OPTIONS[name].forEach(function(arg) {
+                self.options[arg] = opts[name];
+            });
+        }
+    });
+    this.deadline = opts.deadline || 0;
+};
+
+/**
+ * Get the options of a call on this endpoint.
+ * @returns {Object} The call options, of the form {deadline: Date} if a default deadline is set
+ */
+module.exports.Endpoint.prototype.callOptions = function() {
+    return this.deadline ? {deadline: new Date(Date.now() + this.deadline)} : {};
 };
 
 module.exports.bitsToBytes = function(arr) {
@@ -287,6 +368,21 @@ module.exports.toArrayBuffer = function(buffer) {
     return ab;
 };
 
+// utility function to encode DER bytes as a PEM block of a type, such as CERTIFICATE
+module.exports.toPEM = function(der /*Buffer*/, type /*string*/) {
+    var lines = der.toString('base64').match(/.{1,64}/g) || [];
+    return "-----BEGIN " + type + "-----\n" + lines.join("\n") + "\n-----END " + type + "-----\n";
+};
+
+// utility function to decode the DER bytes of the first PEM block of a type
+module.exports.fromPEM = function(pem /*string*/, type /*string*/) {
+    var match = new RegExp("-----BEGIN " + type + "-----([^-]*)-----END " + type + "-----").exec(pem);
+    if (!match) {
+        throw new Error("Not a PEM encoded " + type);
+    }
+    return new Buffer(match[1].replace(/\s+/g, ""), 'base64');
+};
+
 // utility function to check if directory or file exists
 // uses entire / absolute path from root
 module.exports.exists = function(absolutePath /*string*/) {